@@ -0,0 +1,315 @@
+// Scheduled broadcasts (see ./broadcasts), delivered by
+// deliverScheduledBroadcasts in index.js.
+//
+// A broadcast's `schedule` is either
+//   { sendAt: <Timestamp> }                     one moment for everyone
+//   { localTime: '09:00', date: '2026-10-20' }  that wall-clock time in each
+//                                               recipient's time zone
+// Starting a scheduled broadcast moves it to `scheduled` with `nextRunAt`, the
+// first moment anything is due, and the scheduled function picks up every
+// broadcast whose nextRunAt has passed. Until then it can be edited or
+// cancelled.
+//
+// Local-time broadcasts are planned on their first run: the audience is split
+// by time zone into broadcasts/{id}/local_batches, each sent once its zone
+// reaches the time, and nextRunAt follows the next pending batch. Recipients
+// in zones already past the time when planned get it right away. Cancelling
+// one that has started stops the zones not reached yet.
+//
+// A recipient's zone is users/{uid}.timezone, else the quiet-hours zone of
+// their notification settings, else admin_settings/broadcasts.defaultTimezone.
+
+const { preferences } = require('./notifications');
+const {
+  BroadcastError,
+  STATUS,
+  addStats,
+  emptyStats,
+  normalizeAudience,
+  resolveAudience,
+  sendToRecipients,
+  transition,
+} = require('./broadcasts');
+
+const LOCAL_BATCHES = 'local_batches';
+
+const BATCH_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Recipients per local batch document, well under the 1 MiB document limit
+const BATCH_SIZE = 1000;
+// Users read per getAll when looking up time zones
+const READ_CHUNK_SIZE = 300;
+// A batch claimed longer ago than this was lost with its function instance
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const MAX_SCHEDULE_DAYS = 365;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Local times happen between UTC+14 (first) and UTC-12 (last)
+const EARLIEST_OFFSET_MS = 14 * HOUR_MS;
+const LATEST_OFFSET_MS = -12 * HOUR_MS;
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function timezoneOf(userData, fallback = 'UTC') {
+  const settings = (userData && userData.notificationSettings) || {};
+  const candidates = [
+    userData && userData.timezone,
+    settings.quietHours && settings.quietHours.timezone,
+  ];
+  return candidates.find(isValidTimezone) || (isValidTimezone(fallback) ? fallback : 'UTC');
+}
+
+// How far local time in `timezone` is ahead of UTC at `instant`
+function timezoneOffsetMs(instant, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(instant).forEach(part => { parts[part.type] = Number(part.value); });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+function wallClockUtc(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, 0, minutes);
+}
+
+// The moment `date` at `minutes` past midnight is reached in `timezone`.
+// A time repeated by a DST change is its first occurrence; a skipped one is
+// moved forward by the size of the change.
+function zonedTimeToUtc(date, minutes, timezone) {
+  const wall = wallClockUtc(date, minutes);
+  const firstGuess = timezoneOffsetMs(new Date(wall), timezone);
+  const instant = wall - timezoneOffsetMs(new Date(wall - firstGuess), timezone);
+  if (instant + timezoneOffsetMs(new Date(instant), timezone) === wall) return new Date(instant);
+  return new Date(wall - firstGuess);
+}
+
+function isValidDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  return new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+function toDate(value) {
+  const millis = typeof value === 'number' ? value : preferences.toMillis(value);
+  return millis === null || Number.isNaN(millis) ? null : new Date(millis);
+}
+
+// Check a schedule from a callable and return what is stored on the
+// broadcast, or null for none. A local time without a date gets the first
+// date at which it hasn't been reached anywhere yet.
+function normalizeSchedule(schedule, now = new Date()) {
+  if (schedule === undefined || schedule === null) return null;
+  const horizon = now.getTime() + MAX_SCHEDULE_DAYS * DAY_MS;
+
+  if (schedule.sendAt !== undefined) {
+    const sendAt = toDate(schedule.sendAt);
+    if (!sendAt || sendAt.getTime() <= now.getTime() || sendAt.getTime() > horizon) {
+      throw new BroadcastError('invalid-argument',
+        `schedule.sendAt must be a time within the next ${MAX_SCHEDULE_DAYS} days`);
+    }
+    return { sendAt };
+  }
+
+  const minutes = preferences.parseClock(schedule.localTime);
+  if (minutes === null) {
+    throw new BroadcastError('invalid-argument', 'schedule needs sendAt, or localTime as HH:MM');
+  }
+
+  let date = schedule.date;
+  if (date === undefined || date === null) {
+    let day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    while (day.getTime() + minutes * 60 * 1000 - EARLIEST_OFFSET_MS <= now.getTime()) {
+      day = new Date(day.getTime() + DAY_MS);
+    }
+    date = day.toISOString().slice(0, 10);
+  } else if (!isValidDate(date)) {
+    throw new BroadcastError('invalid-argument', 'schedule.date must be YYYY-MM-DD');
+  }
+
+  const latest = wallClockUtc(date, minutes) - LATEST_OFFSET_MS;
+  if (latest <= now.getTime() || latest - EARLIEST_OFFSET_MS > horizon) {
+    throw new BroadcastError('invalid-argument',
+      `schedule.date and localTime must be within the next ${MAX_SCHEDULE_DAYS} days`);
+  }
+  return { localTime: schedule.localTime, date };
+}
+
+function isLocalTime(schedule) {
+  return Boolean(schedule && schedule.localTime);
+}
+
+// When the scheduled function should first look at a broadcast
+function firstRunAt(schedule) {
+  if (isLocalTime(schedule)) {
+    return new Date(wallClockUtc(schedule.date, preferences.parseClock(schedule.localTime)) - EARLIEST_OFFSET_MS);
+  }
+  return toDate(schedule.sendAt);
+}
+
+// Split a local-time broadcast's audience into batches per time zone.
+// Returns { recipientCount, batchCount, nextRunAt }.
+async function planLocalBatches({ db, tokensCollection }, ref, broadcast, { defaultTimezone }) {
+  const userIds = await resolveAudience(db, normalizeAudience(broadcast.audience), { tokensCollection });
+  const minutes = preferences.parseClock(broadcast.schedule.localTime);
+
+  const byZone = new Map();
+  for (let i = 0; i < userIds.length; i += READ_CHUNK_SIZE) {
+    const chunk = userIds.slice(i, i + READ_CHUNK_SIZE);
+    const docs = await db.getAll(...chunk.map(uid => db.collection('users').doc(uid)));
+    docs.forEach((doc, index) => {
+      const timezone = timezoneOf(doc.exists ? doc.data() : null, defaultTimezone);
+      if (!byZone.has(timezone)) byZone.set(timezone, []);
+      byZone.get(timezone).push(chunk[index]);
+    });
+  }
+
+  const batches = [];
+  for (const [timezone, ids] of byZone) {
+    const sendAt = zonedTimeToUtc(broadcast.schedule.date, minutes, timezone);
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      batches.push({ timezone, sendAt, userIds: ids.slice(i, i + BATCH_SIZE), status: BATCH_STATUS.PENDING });
+    }
+  }
+
+  // Firestore batches take at most 500 writes
+  for (let i = 0; i < batches.length; i += 400) {
+    const writeBatch = db.batch();
+    batches.slice(i, i + 400).forEach(batch => writeBatch.set(ref.collection(LOCAL_BATCHES).doc(), batch));
+    await writeBatch.commit();
+  }
+
+  const sendTimes = batches.map(batch => batch.sendAt.getTime());
+  return {
+    recipientCount: userIds.length,
+    batchCount: batches.length,
+    nextRunAt: sendTimes.length > 0 ? new Date(Math.min(...sendTimes)) : null,
+  };
+}
+
+// Take a pending batch for sending, unless it or its broadcast moved on
+async function claimLocalBatch(db, broadcastRef, batchRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const [broadcastDoc, batchDoc] = await Promise.all([
+      transaction.get(broadcastRef),
+      transaction.get(batchRef),
+    ]);
+    if (!broadcastDoc.exists || broadcastDoc.data().status !== STATUS.SENDING) return null;
+    if (!batchDoc.exists || batchDoc.data().status !== BATCH_STATUS.PENDING) return null;
+
+    transaction.update(batchRef, { status: BATCH_STATUS.SENDING, claimedAt: now });
+    return batchDoc.data();
+  });
+}
+
+function statsIncrement(FieldValue, stats) {
+  const update = {};
+  for (const [key, value] of Object.entries(stats)) {
+    if (key !== 'recipientCount' && value) update[`stats.${key}`] = FieldValue.increment(value);
+  }
+  return update;
+}
+
+// Send the batches of a started local-time broadcast that are due, then move
+// nextRunAt to the next pending one, or finish the broadcast when none is
+// left. Returns the stats of what this run sent.
+async function deliverDueBatches({ db, dispatcher, FieldValue }, ref, broadcast, notificationFor, { now = new Date(), maxBatches = 20 } = {}) {
+  const sent = emptyStats();
+  const open = await ref.collection(LOCAL_BATCHES)
+    .where('status', 'in', [BATCH_STATUS.PENDING, BATCH_STATUS.SENDING])
+    .get();
+
+  const due = open.docs
+    .filter(doc => doc.data().status === BATCH_STATUS.PENDING && toDate(doc.data().sendAt) <= now)
+    .slice(0, maxBatches);
+
+  for (const doc of due) {
+    const batch = await claimLocalBatch(db, ref, doc.ref, now);
+    if (!batch) continue;
+    try {
+      const stats = await sendToRecipients(dispatcher, batch.userIds, broadcast, notificationFor);
+      await doc.ref.update({ status: BATCH_STATUS.SENT, sentAt: new Date(), stats });
+      const increment = statsIncrement(FieldValue, stats);
+      if (Object.keys(increment).length > 0) await ref.update(increment);
+      addStats(sent, stats);
+    } catch (error) {
+      console.error(`Error sending ${batch.timezone} batch of broadcast ${ref.id}:`, error);
+      await doc.ref.update({ status: BATCH_STATUS.FAILED, error: error.message });
+    }
+  }
+
+  // Batches left claimed by an instance that died are given up on rather
+  // than risk sending them twice
+  const remaining = [];
+  for (const doc of open.docs) {
+    const batch = doc.data();
+    if (due.some(dueDoc => dueDoc.id === doc.id)) continue;
+    if (batch.status === BATCH_STATUS.SENDING && now - toDate(batch.claimedAt) > STALE_CLAIM_MS) {
+      await doc.ref.update({ status: BATCH_STATUS.FAILED, error: 'Delivery did not finish' });
+      continue;
+    }
+    remaining.push(batch);
+  }
+
+  const pendingTimes = remaining
+    .filter(batch => batch.status === BATCH_STATUS.PENDING)
+    .map(batch => toDate(batch.sendAt).getTime());
+  // Only batches in flight elsewhere: look again shortly
+  const next = pendingTimes.length > 0 ? Math.min(...pendingTimes) : now.getTime() + STALE_CLAIM_MS;
+  try {
+    // A broadcast cancelled meanwhile stays cancelled
+    await transition(db, ref, [STATUS.SENDING],
+      remaining.length === 0 ? STATUS.SENT : STATUS.SENDING,
+      remaining.length === 0 ? { sentAt: new Date(), nextRunAt: null } : { nextRunAt: new Date(next) });
+  } catch (error) {
+    if (!(error instanceof BroadcastError)) throw error;
+  }
+  return sent;
+}
+
+// Mark a cancelled broadcast's unsent batches cancelled
+async function cancelPendingBatches(db, ref) {
+  const pending = await ref.collection(LOCAL_BATCHES).where('status', '==', BATCH_STATUS.PENDING).get();
+  for (let i = 0; i < pending.docs.length; i += 400) {
+    const writeBatch = db.batch();
+    pending.docs.slice(i, i + 400).forEach(doc => writeBatch.update(doc.ref, { status: BATCH_STATUS.CANCELLED }));
+    await writeBatch.commit();
+  }
+  return pending.size;
+}
+
+module.exports = {
+  LOCAL_BATCHES,
+  BATCH_STATUS,
+  timezoneOf,
+  zonedTimeToUtc,
+  normalizeSchedule,
+  isLocalTime,
+  firstRunAt,
+  planLocalBatches,
+  deliverDueBatches,
+  cancelPendingBatches,
+};
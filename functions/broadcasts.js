@@ -0,0 +1,288 @@
+// Targeted broadcasts, used by the broadcast callables (createBroadcast,
+// broadcastToAllUsers, ...) and triggers in index.js.
+//
+// broadcasts/{broadcastId}:
+//   { title, message, audience, urgent, status, createdBy, approvedBy, stats }
+//
+// `audience` picks the recipients:
+//   { type: 'all' }                                 every user with a device
+//   { type: 'roles', roles: ['admin', 'moderator'] }
+//   { type: 'groups', groupIds: ['chatId', ...] }   members of these group chats
+//   { type: 'users', userIds: ['uid', ...] }
+//   { type: 'filter', filters: [{ field: 'settings.language', op: '==', value: 'ar' }] }
+// Profile filters compare fields of users/{uid}; the first one runs as a
+// Firestore query, the rest are applied to its results.
+//
+// Only users with a role in SENDER_ROLES may create broadcasts, and only
+// admins approve them or mark them urgent. Roles are users/{uid}.role, which
+// config/firestore.rules lets only admins change. Status moves
+//   draft -> approved -> [scheduled ->] sending -> sent | failed
+// and can be cancelled until it is sent (see ./broadcast_schedule for
+// scheduled ones). When admin_settings/broadcasts has `requireApproval: true`, drafts must be
+// approved before they are sent; otherwise a draft can be sent directly, and
+// a broadcast created without `draft: true` goes out at once. Delivery writes `stats` (recipient,
+// device, success, failure, pruned, silenced and skipped counts) and `sentAt`.
+//
+// Documents without a status are the app's older direct broadcasts: they go
+// out when created, if their sender may broadcast.
+
+const { chats } = require('./notifications');
+
+const SETTINGS_DOC = 'broadcasts';
+
+const STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+};
+
+const AUDIENCE_TYPES = ['all', 'roles', 'groups', 'users', 'filter'];
+const FILTER_OPS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+
+const ADMIN_ROLE = 'admin';
+const SENDER_ROLES = [ADMIN_ROLE, 'broadcaster'];
+
+// Recipients per sendToUsers call, to bound memory on large audiences
+const SEND_CHUNK_SIZE = 500;
+
+const DEFAULT_SETTINGS = {
+  requireApproval: false,
+  // Zone of recipients who haven't stored one, for local-time schedules
+  defaultTimezone: 'UTC',
+};
+
+class BroadcastError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+async function loadSettings(db) {
+  const doc = await db.collection('admin_settings').doc(SETTINGS_DOC).get();
+  return { ...DEFAULT_SETTINGS, ...(doc.exists ? doc.data() : {}) };
+}
+
+async function roleOf(db, uid) {
+  if (!uid) return null;
+  const doc = await db.collection('users').doc(uid).get();
+  return doc.exists ? doc.data().role || null : null;
+}
+
+function canBroadcast(role) {
+  return SENDER_ROLES.includes(role);
+}
+
+function isAdminRole(role) {
+  return role === ADMIN_ROLE;
+}
+
+function nonEmptyStrings(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+// Check and normalize an audience; throws BroadcastError('invalid-argument')
+function normalizeAudience(audience) {
+  const { type = 'all' } = audience || {};
+  switch (type) {
+    case 'all':
+      return { type };
+    case 'roles':
+      if (!nonEmptyStrings(audience.roles)) throw new BroadcastError('invalid-argument', 'audience.roles must list roles');
+      return { type, roles: [...new Set(audience.roles)] };
+    case 'groups':
+      if (!nonEmptyStrings(audience.groupIds)) throw new BroadcastError('invalid-argument', 'audience.groupIds must list chats');
+      return { type, groupIds: [...new Set(audience.groupIds)] };
+    case 'users':
+      if (!nonEmptyStrings(audience.userIds)) throw new BroadcastError('invalid-argument', 'audience.userIds must list users');
+      return { type, userIds: [...new Set(audience.userIds)] };
+    case 'filter': {
+      const filters = audience.filters;
+      const valid = Array.isArray(filters) && filters.length > 0 && filters.every(filter =>
+        filter && typeof filter.field === 'string' && filter.field.length > 0 && FILTER_OPS.includes(filter.op));
+      if (!valid) throw new BroadcastError('invalid-argument', 'audience.filters must be { field, op, value } filters');
+      return { type, filters: filters.map(({ field, op, value }) => ({ field, op, value })) };
+    }
+    default:
+      throw new BroadcastError('invalid-argument', `Unknown audience type: ${type}; expected one of ${AUDIENCE_TYPES.join(', ')}`);
+  }
+}
+
+function fieldValue(data, field) {
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = fieldValue(data, field);
+  const list = Array.isArray(actual) ? actual : [];
+  switch (op) {
+    case '==': return actual === value;
+    case '!=': return actual !== undefined && actual !== value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case 'in': return Array.isArray(value) && value.includes(actual);
+    case 'not-in': return actual !== undefined && Array.isArray(value) && !value.includes(actual);
+    case 'array-contains': return list.includes(value);
+    case 'array-contains-any': return Array.isArray(value) && value.some(item => list.includes(item));
+    default: return false;
+  }
+}
+
+// Every user with a registered device or a legacy FCM token
+async function allUserIds(db, tokensCollection) {
+  const [usersSnapshot, devicesSnapshot] = await Promise.all([
+    db.collection('users').where('fcmToken', '!=', null).get(),
+    db.collectionGroup(tokensCollection).get(),
+  ]);
+
+  const ids = new Set();
+  usersSnapshot.forEach(doc => {
+    const { fcmToken } = doc.data();
+    if (fcmToken && fcmToken.length > 0) ids.add(doc.id);
+  });
+  devicesSnapshot.forEach(doc => ids.add(doc.ref.parent.parent.id));
+  return ids;
+}
+
+// User ids of a normalized audience
+async function resolveAudience(db, audience, { tokensCollection }) {
+  switch (audience.type) {
+    case 'roles': {
+      const ids = new Set();
+      // Firestore 'in' filters accept at most 30 values
+      for (let i = 0; i < audience.roles.length; i += 30) {
+        const snapshot = await db.collection('users').where('role', 'in', audience.roles.slice(i, i + 30)).get();
+        snapshot.forEach(doc => ids.add(doc.id));
+      }
+      return [...ids];
+    }
+    case 'groups': {
+      const chatDocs = await db.getAll(...audience.groupIds.map(id => db.collection('chats').doc(id)));
+      const ids = new Set();
+      chatDocs.filter(doc => doc.exists).forEach(doc => chats.getMemberIds(doc.data()).forEach(id => ids.add(id)));
+      return [...ids];
+    }
+    case 'users':
+      return audience.userIds;
+    case 'filter': {
+      const [first, ...rest] = audience.filters;
+      const snapshot = await db.collection('users').where(first.field, first.op, first.value).get();
+      return snapshot.docs
+        .filter(doc => rest.every(filter => matchesFilter(doc.data(), filter)))
+        .map(doc => doc.id);
+    }
+    case 'all':
+    default:
+      return [...await allUserIds(db, tokensCollection)];
+  }
+}
+
+function emptyStats() {
+  return {
+    recipientCount: 0,
+    deviceCount: 0,
+    successCount: 0,
+    failureCount: 0,
+    prunedTokens: 0,
+    silencedCount: 0,
+    skippedCount: 0,
+  };
+}
+
+// Atomically move a broadcast from one of `from` to `to`. `to` and `fields`
+// may also be functions of the broadcast's current data. Returns that data, or
+// throws BroadcastError('failed-precondition').
+async function transition(db, ref, from, to, fields = {}) {
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) throw new BroadcastError('not-found', 'Broadcast not found');
+
+    const data = doc.data();
+    if (!from.includes(data.status)) {
+      throw new BroadcastError('failed-precondition', `Broadcast is ${data.status}, expected ${from.join(' or ')}`);
+    }
+    transaction.update(ref, {
+      status: typeof to === 'function' ? to(data) : to,
+      ...(typeof fields === 'function' ? fields(data) : fields),
+    });
+    return data;
+  });
+}
+
+// Statuses a broadcast may be sent from under `settings`
+function sendableStatuses(settings) {
+  return settings.requireApproval ? [STATUS.APPROVED] : [STATUS.DRAFT, STATUS.APPROVED];
+}
+
+function addStats(total, stats) {
+  for (const key of Object.keys(total)) total[key] += stats[key] || 0;
+  return total;
+}
+
+// Send to `userIds` in chunks; returns their delivery stats.
+// `notificationFor(userData)` renders the notification for one recipient.
+async function sendToRecipients(dispatcher, userIds, broadcast, notificationFor) {
+  const stats = emptyStats();
+  stats.recipientCount = userIds.length;
+
+  for (let i = 0; i < userIds.length; i += SEND_CHUNK_SIZE) {
+    const result = await dispatcher.sendToUsers(userIds.slice(i, i + SEND_CHUNK_SIZE), notificationFor, {
+      respectPreferences: true,
+      urgent: broadcast.urgent === true,
+    });
+    addStats(stats, {
+      deviceCount: result.deviceCount,
+      successCount: result.successCount,
+      failureCount: result.failureCount,
+      prunedTokens: result.prunedTokens,
+      silencedCount: result.silencedUsers.length,
+      skippedCount: result.skippedUsers.length,
+    });
+  }
+  return stats;
+}
+
+// Send a broadcast to its audience and record the outcome on its document.
+// The caller has already moved it to `sending`.
+async function deliver({ db, dispatcher, tokensCollection }, ref, broadcast, notificationFor) {
+  let stats = emptyStats();
+  try {
+    const audience = normalizeAudience(broadcast.audience);
+    const userIds = await resolveAudience(db, audience, { tokensCollection });
+    stats = await sendToRecipients(dispatcher, userIds, broadcast, notificationFor);
+
+    await ref.update({ status: STATUS.SENT, sentAt: new Date(), nextRunAt: null, stats });
+    return stats;
+  } catch (error) {
+    await ref.update({ status: STATUS.FAILED, failedAt: new Date(), nextRunAt: null, error: error.message, stats });
+    throw error;
+  }
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  AUDIENCE_TYPES,
+  SENDER_ROLES,
+  STATUS,
+  BroadcastError,
+  loadSettings,
+  roleOf,
+  canBroadcast,
+  isAdminRole,
+  normalizeAudience,
+  matchesFilter,
+  resolveAudience,
+  transition,
+  sendableStatuses,
+  emptyStats,
+  addStats,
+  sendToRecipients,
+  deliver,
+};
@@ -0,0 +1,225 @@
+// Rule-based filter for new chat messages, run by handleNewChatMessage in
+// index.js before anything is pushed.
+//
+// Rules live on admin_settings/content_filter:
+//   {
+//     enabled: true,
+//     defaultStrictness: 'standard',
+//     rules: [
+//       { id: 'slurs', type: 'keyword', terms: ['...'], action: 'redact' },
+//       { id: 'phone', type: 'regex', pattern: '\\+?\\d{10,}', flags: 'i', action: 'flag', strictness: 'strict' },
+//       { id: 'scams', type: 'link', domains: ['bad.example'], action: 'hold', reason: 'Phishing link' },
+//     ],
+//   }
+// `type` picks a matcher from RULE_TYPES (more can be passed to createFilter):
+//   keyword  whole words or phrases, case-insensitive
+//   regex    a JavaScript regular expression
+//   link     URLs whose host is, or is under, one of `domains`; '*' is any link
+// Each rule applies from its `strictness` up ('standard' when unset). A chat's
+// strictness is chats/{chatId}.contentFilter.strictness:
+//   relaxed   only rules marked relaxed
+//   standard  relaxed and standard rules (the default)
+//   strict    every rule
+//
+// A message takes the most severe action of the rules it matches:
+//   flag    delivered as is, and added to flagged_messages for review
+//   redact  matches are replaced with REDACTION, then flagged
+//   hold    moved to held_messages/{chatId}_{messageId} until an admin sets
+//           `action: 'release'` on its flag, then delivered normally
+// Encrypted messages cannot be read and are never filtered.
+
+const SETTINGS_DOC = 'content_filter';
+const HELD_COLLECTION = 'held_messages';
+const CACHE_MS = 60 * 1000;
+
+// Written as flagged_messages `reportedBy` for the filter's own flags
+const FILTER_REPORTER_ID = 'content_filter';
+const RELEASE_ACTION = 'release';
+const REDACTION = '•••';
+
+const ACTIONS = {
+  FLAG: 'flag',
+  REDACT: 'redact',
+  HOLD: 'hold',
+};
+
+const SEVERITY = [ACTIONS.FLAG, ACTIONS.REDACT, ACTIONS.HOLD];
+
+const STRICTNESS = ['relaxed', 'standard', 'strict'];
+const DEFAULT_STRICTNESS = 'standard';
+
+// Long patterns and texts are where a bad regex gets slow
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TEXT_LENGTH = 10000;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  defaultStrictness: DEFAULT_STRICTNESS,
+  rules: [],
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every match of `regex` (global) in `text` as { index, length }
+function findAll(regex, text) {
+  return [...text.matchAll(regex)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ index: match.index, length: match[0].length }));
+}
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+function hostOf(link) {
+  try {
+    return new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Each rule type compiles a rule into a function returning the rule's matches
+// in a text, or null when the rule is unusable
+const RULE_TYPES = {
+  keyword(rule) {
+    const terms = (rule.terms || []).map(term => String(term).trim()).filter(Boolean);
+    if (terms.length === 0) return null;
+    // \b does not work for Arabic; letters and digits delimit words instead
+    const regex = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    return text => findAll(regex, text);
+  },
+
+  regex(rule) {
+    if (!rule.pattern || String(rule.pattern).length > MAX_PATTERN_LENGTH) return null;
+    const flags = [...new Set(`${rule.flags || 'i'}gu`)].filter(flag => 'gimsuy'.includes(flag)).join('');
+    const regex = new RegExp(rule.pattern, flags);
+    return text => findAll(regex, text);
+  },
+
+  link(rule) {
+    const domains = (rule.domains || []).map(domain => String(domain).toLowerCase().replace(/^\*?\./, ''));
+    if (domains.length === 0) return null;
+    const blocked = host => domains.some(domain =>
+      domain === '*' || host === domain || host.endsWith(`.${domain}`));
+    return text => [...text.matchAll(URL_PATTERN)]
+      .filter(match => {
+        const host = hostOf(match[0]);
+        return host && blocked(host);
+      })
+      .map(match => ({ index: match.index, length: match[0].length }));
+  },
+};
+
+function strictnessLevel(value, fallback = DEFAULT_STRICTNESS) {
+  const level = STRICTNESS.indexOf(value);
+  return level >= 0 ? level : STRICTNESS.indexOf(fallback);
+}
+
+function compileRules(rules, ruleTypes) {
+  const compiled = [];
+  (rules || []).forEach((rule, index) => {
+    const compile = ruleTypes[rule && rule.type];
+    if (!compile || !SEVERITY.includes(rule.action)) {
+      console.warn(`Content filter rule ${index} is not usable:`, JSON.stringify(rule));
+      return;
+    }
+    try {
+      const find = compile(rule);
+      if (!find) return;
+      compiled.push({
+        id: rule.id || `${rule.type}_${index}`,
+        action: rule.action,
+        reason: rule.reason || `Matched ${rule.type} rule`,
+        level: strictnessLevel(rule.strictness),
+        find,
+      });
+    } catch (error) {
+      console.warn(`Content filter rule ${rule.id || index} failed to compile:`, error.message);
+    }
+  });
+  return compiled;
+}
+
+// Replace the given ranges, merged where they overlap
+function redact(text, ranges) {
+  const sorted = [...ranges].sort((a, b) => a.index - b.index);
+  let result = '';
+  let position = 0;
+  for (const { index, length } of sorted) {
+    const end = index + length;
+    if (end <= position) continue;
+    if (index >= position) {
+      result += text.slice(position, index) + REDACTION;
+    }
+    position = end;
+  }
+  return result + text.slice(position);
+}
+
+// A filter over `settings` (DEFAULT_SETTINGS merged with admin_settings).
+// `check(text, chatData)` returns { action, matches, text }: the most severe
+// action or null, the rules that matched ({ ruleId, action, reason }), and the
+// text to deliver (redacted when the action is redact).
+function createFilter(settings, { ruleTypes = RULE_TYPES } = {}) {
+  const rules = settings.enabled === false ? [] : compileRules(settings.rules, ruleTypes);
+
+  return {
+    check(text, chatData) {
+      const original = typeof text === 'string' ? text : '';
+      if (rules.length === 0 || original.length === 0) return { action: null, matches: [], text: original };
+
+      const subject = original.slice(0, MAX_TEXT_LENGTH);
+      const chatStrictness = chatData && chatData.contentFilter && chatData.contentFilter.strictness;
+      const level = strictnessLevel(chatStrictness, settings.defaultStrictness);
+
+      const matches = [];
+      const redactions = [];
+      for (const rule of rules) {
+        if (rule.level > level) continue;
+        const found = rule.find(subject);
+        if (found.length === 0) continue;
+        matches.push({ ruleId: rule.id, action: rule.action, reason: rule.reason });
+        if (rule.action === ACTIONS.REDACT) redactions.push(...found);
+      }
+
+      if (matches.length === 0) return { action: null, matches, text: original };
+      const action = SEVERITY[Math.max(...matches.map(match => SEVERITY.indexOf(match.action)))];
+      return {
+        action,
+        matches,
+        text: action === ACTIONS.REDACT ? redact(subject, redactions) + original.slice(MAX_TEXT_LENGTH) : original,
+      };
+    },
+  };
+}
+
+let cache = null;
+
+// The filter for the current admin settings, cached per instance for a minute
+async function loadFilter(db, { now = Date.now() } = {}) {
+  if (cache && now - cache.loadedAt < CACHE_MS) return cache.filter;
+
+  const doc = await db.collection('admin_settings').doc(SETTINGS_DOC).get();
+  const settings = { ...DEFAULT_SETTINGS, ...(doc.exists ? doc.data() : {}) };
+  cache = { loadedAt: now, filter: createFilter(settings) };
+  return cache.filter;
+}
+
+function heldMessageRef(db, chatId, messageId) {
+  return db.collection(HELD_COLLECTION).doc(`${chatId}_${messageId}`);
+}
+
+module.exports = {
+  ACTIONS,
+  FILTER_REPORTER_ID,
+  HELD_COLLECTION,
+  REDACTION,
+  RELEASE_ACTION,
+  RULE_TYPES,
+  STRICTNESS,
+  createFilter,
+  loadFilter,
+  heldMessageRef,
+};
@@ -1,9 +1,87 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const {
+  actions: notificationActions,
+  chats,
+  coalescing,
+  createDispatcher,
+  encryption,
+  mentions,
+  preferences,
+  relationships,
+  templates,
+  tokens: tokenRegistry,
+  unread,
+} = require('./notifications');
+const broadcastSchedule = require('./broadcast_schedule');
+const broadcasts = require('./broadcasts');
+const contentFilter = require('./content_filter');
+const moderation = require('./moderation');
+const retention = require('./retention');
+const retentionJob = require('./retention_job');
+const scheduledMessages = require('./scheduled_messages');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 
+// Shared dispatcher used by the callables and the Firestore triggers alike
+const dispatcher = createDispatcher({
+  db: admin.firestore(),
+  messaging: admin.messaging(),
+});
+
+// Signs the action tokens in chat pushes (see ./notifications/actions); set it
+// in functions/.env. Without it notifications carry no Reply / Mark as read.
+const notificationActionSecret = process.env.NOTIFICATION_ACTION_SECRET;
+
+// Cloud Function to register the calling device's FCM token
+exports.registerDeviceToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { token, deviceId, platform, appVersion } = data;
+
+  if (!token || typeof token !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Missing required field: token');
+  }
+
+  try {
+    const result = await tokenRegistry.registerToken(admin.firestore(), context.auth.uid, {
+      token,
+      deviceId,
+      platform,
+      appVersion,
+    });
+
+    return { success: true, deviceId: result.deviceId };
+  } catch (error) {
+    console.error('Error registering device token:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to register device token', error.message);
+  }
+});
+
+// Cloud Function to remove one of the calling user's devices (e.g. on sign-out)
+exports.unregisterDeviceToken = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { token, deviceId } = data;
+
+  if (!token && !deviceId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Missing required field: token or deviceId');
+  }
+
+  try {
+    const removed = await tokenRegistry.unregisterToken(admin.firestore(), context.auth.uid, { token, deviceId });
+    return { success: true, removed };
+  } catch (error) {
+    console.error('Error unregistering device token:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to unregister device token', error.message);
+  }
+});
+
 // Cloud Function to send FCM notification
 exports.sendFCMNotification = functions.https.onCall(async (data, context) => {
   try {
@@ -12,48 +90,65 @@ exports.sendFCMNotification = functions.https.onCall(async (data, context) => {
       throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
     }
 
-    const { token, title, body, data: notificationData } = data;
+    const { token, userId, title, body, data: notificationData } = data;
 
-    if (!token || !title || !body) {
-      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: token, title, body');
+    if ((!token && !userId) || !title || !body) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: token or userId, title, body');
     }
 
-    const message = {
-      token: token,
-      notification: {
-        title: title,
-        body: body,
-      },
-      data: notificationData || {},
-      android: {
-        priority: 'high',
-        notification: {
-          channelId: 'chat_notifications',
-          priority: 'high',
-          defaultSound: true,
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-            category: 'chat_category',
-          },
-        },
-      },
+    const notification = {
+      title,
+      body,
+      data: notificationData,
     };
 
-    const response = await admin.messaging().send(message);
+    // Users may only notify people they share a chat with or are friends
+    // with; a raw token counts as its owner's
+    let targetId = userId;
+    if (!targetId) {
+      const owners = await tokenRegistry.findTokenOwners(admin.firestore(), [token]);
+      targetId = owners.get(token);
+      if (!targetId) {
+        throw new functions.https.HttpsError('permission-denied', 'Token is not registered to any user');
+      }
+    }
+
+    const { skipped } = await relationships.filterDirectRecipients(admin.firestore(), context.auth.uid, [targetId]);
+    if (skipped.some(skip => skip.reason === relationships.SKIP_REASONS.NOT_CONNECTED)) {
+      throw new functions.https.HttpsError('permission-denied', 'Recipient shares no chat with you and is not a friend');
+    }
+    if (skipped.length > 0) {
+      return { success: false, message: 'Recipient is not accepting notifications from you', skippedUsers: skipped };
+    }
+
+    // Fan out to every registered device of the user
+    if (userId) {
+      const result = await dispatcher.sendToUsers([userId], notification);
+      if (result.deviceCount === 0) {
+        return { success: false, message: 'No FCM tokens found for user', prunedTokens: 0, skippedUsers: [] };
+      }
+
+      return {
+        success: result.successCount > 0,
+        successCount: result.successCount,
+        failureCount: result.failureCount,
+        prunedTokens: result.prunedTokens,
+        skippedUsers: [],
+        message: `Notification sent to ${result.successCount} device(s)`,
+      };
+    }
+
+    const { messageId } = await dispatcher.sendToToken(token, notification);
     
-    console.log('Successfully sent message:', response);
+    console.log('Successfully sent message:', messageId);
     return { 
       success: true, 
-      messageId: response,
+      messageId,
       message: 'Notification sent successfully' 
     };
     
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
     console.error('Error sending message:', error);
     throw new functions.https.HttpsError('internal', 'Failed to send notification', error.message);
   }
@@ -72,84 +167,133 @@ exports.sendNotificationToUsers = functions.https.onCall(async (data, context) =
       throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: userIds array, title, body');
     }
 
-    // Get FCM tokens for all users
-    const userDocs = await Promise.all(
-      userIds.map(userId => admin.firestore().collection('users').doc(userId).get())
-    );
+    // Recipients who blocked the caller or aren't connected to them are
+    // skipped and reported with a reason code
+    const { allowed, skipped } = await relationships.filterDirectRecipients(admin.firestore(), context.auth.uid, userIds);
+    if (allowed.length === 0) {
+      return { success: false, message: 'None of the users can be notified', prunedTokens: 0, skippedUsers: skipped };
+    }
 
-    const fcmTokens = [];
-    for (const doc of userDocs) {
-      if (doc.exists) {
-        const userData = doc.data();
-        const fcmToken = userData.fcmToken;
-        if (fcmToken && fcmToken.length > 0) {
-          fcmTokens.push(fcmToken);
-        }
-      }
+    const result = await dispatcher.sendToUsers(allowed, {
+      title,
+      body,
+      data: notificationData,
+    });
+
+    if (result.deviceCount === 0) {
+      return { success: false, message: 'No FCM tokens found for users', prunedTokens: 0, skippedUsers: skipped };
     }
 
-    if (fcmTokens.length === 0) {
-      return { success: false, message: 'No FCM tokens found for users' };
+    return { 
+      success: true, 
+      totalSuccess: result.successCount,
+      totalFailure: result.failureCount,
+      prunedTokens: result.prunedTokens,
+      deviceCount: result.deviceCount,
+      skippedUsers: skipped,
+      results: result.batches,
+      message: `Notifications sent: ${result.successCount} success, ${result.failureCount} failure`
+    };
+    
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error sending notifications to users:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to send notifications', error.message);
+  }
+});
+
+// Cloud Function to reply to a message or mark its chat read from the
+// notification, without opening the app. Called by the web service worker and
+// the Android/iOS notification actions with the push's `actionToken`.
+exports.handleNotificationAction = functions.https.onCall(async (data, context) => {
+  try {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
     }
 
-    // Send notification to all tokens (in batches of 500)
-    const batchSize = 500;
-    const results = [];
+    const { action, chatId, messageId, actionToken, text } = data || {};
+    const uid = context.auth.uid;
 
-    for (let i = 0; i < fcmTokens.length; i += batchSize) {
-      const batch = fcmTokens.slice(i, i + batchSize);
-      
-      const message = {
-        tokens: batch,
-        notification: {
-          title: title,
-          body: body,
-        },
-        data: notificationData || {},
-        android: {
-          priority: 'high',
-          notification: {
-            channelId: 'chat_notifications',
-            priority: 'high',
-            defaultSound: true,
-          },
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-              category: 'chat_category',
-            },
-          },
-        },
-      };
+    if (!Object.values(notificationActions.ACTIONS).includes(action) || !chatId || !actionToken) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: action, chatId, actionToken');
+    }
+
+    if (!notificationActionSecret) {
+      throw new functions.https.HttpsError('failed-precondition', 'Notification actions are not enabled');
+    }
+
+    if (!notificationActions.verifyToken(notificationActionSecret, actionToken, { uid, chatId, messageId })) {
+      throw new functions.https.HttpsError('permission-denied', 'Action token is invalid or has expired');
+    }
+
+    const replyText = typeof text === 'string' ? text.trim() : '';
+    if (action === notificationActions.ACTIONS.REPLY
+      && (!replyText || replyText.length > notificationActions.MAX_REPLY_LENGTH)) {
+      throw new functions.https.HttpsError('invalid-argument',
+        `Reply text must be 1 to ${notificationActions.MAX_REPLY_LENGTH} characters`);
+    }
+
+    const db = admin.firestore();
+    const chatRef = db.collection('chats').doc(chatId);
+    const chatDoc = await chatRef.get();
+
+    // Members who left since the push no longer act on the chat
+    if (!chatDoc.exists || !chats.getMemberIds(chatDoc.data()).includes(uid)) {
+      throw new functions.https.HttpsError('permission-denied', 'Not a member of this chat');
+    }
+
+    // Replying reads the chat too; collected before the reply, which would end
+    // the scan. handleMessageRead then syncs unread counts.
+    const unreadDocs = await unread.findUnread(db, chatId, uid);
 
-      const response = await admin.messaging().sendMulticast(message);
-      results.push({
-        batchIndex: i / batchSize,
-        successCount: response.successCount,
-        failureCount: response.failureCount,
-        responses: response.responses,
+    let replyId = null;
+    if (action === notificationActions.ACTIONS.REPLY) {
+      // The server cannot encrypt on the user's behalf
+      if (encryption.isEncrypted(chatDoc.data(), null)) {
+        throw new functions.https.HttpsError('failed-precondition', 'Reply from the app in encrypted chats');
+      }
+
+      const userDoc = await db.collection('users').doc(uid).get();
+      const senderName = (userDoc.exists && userDoc.data().displayName) || 'User';
+
+      const replyRef = await chatRef.collection('messages').add({
+        text: replyText,
+        senderId: uid,
+        senderName,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        type: 'text',
+        status: 'sent',
+        readBy: [uid],
+        ...(messageId ? { replyTo: messageId } : {}),
+      });
+      replyId = replyRef.id;
+
+      await chatRef.update({
+        lastMessage: replyText,
+        lastMessageTime: admin.firestore.FieldValue.serverTimestamp(),
+        lastMessageSender: senderName,
       });
     }
 
-    const totalSuccess = results.reduce((sum, result) => sum + result.successCount, 0);
-    const totalFailure = results.reduce((sum, result) => sum + result.failureCount, 0);
+    if (unreadDocs.length > 0) {
+      const batch = db.batch();
+      unreadDocs.forEach(doc => batch.update(doc.ref, {
+        readBy: admin.firestore.FieldValue.arrayUnion(uid),
+        status: 'read',
+      }));
+      await batch.commit();
+    }
 
-    console.log(`Sent notifications: ${totalSuccess} success, ${totalFailure} failure`);
-    
-    return { 
-      success: true, 
-      totalSuccess,
-      totalFailure,
-      results,
-      message: `Notifications sent: ${totalSuccess} success, ${totalFailure} failure`
+    return {
+      success: true,
+      action,
+      markedRead: unreadDocs.length,
+      messageId: replyId,
     };
-    
   } catch (error) {
-    console.error('Error sending notifications to users:', error);
-    throw new functions.https.HttpsError('internal', 'Failed to send notifications', error.message);
+    if (error instanceof functions.https.HttpsError) throw error;
+    console.error('Error handling notification action:', error);
+    throw new functions.https.HttpsError('internal', 'Failed to handle notification action', error.message);
   }
 });
 
@@ -159,7 +303,7 @@ exports.handleNewChatMessage = functions.firestore
   .onCreate(async (snap, context) => {
     try {
       const messageData = snap.data();
-      const { senderId, senderName, text, type } = messageData;
+      const { senderId, senderName, type } = messageData;
       const chatId = context.params.chatId;
 
       // Don't send notification to sender
@@ -170,63 +314,176 @@ exports.handleNewChatMessage = functions.firestore
       if (!chatDoc.exists) return;
 
       const chatData = chatDoc.data();
-      const isGroupChat = chatData.isGroupChat || false;
+      const isGroupChat = chats.isGroupChat(chatData);
       const chatName = chatData.name || 'Chat';
-      const memberIds = chatData.memberIds || chatData.userIds || [];
+      const memberIds = chats.getMemberIds(chatData);
 
-      // Determine notification content
-      let title, body;
-      
-      switch (type) {
-        case 'text':
-          title = isGroupChat ? `👥 ${chatName}` : `💬 ${senderName}`;
-          body = isGroupChat 
-            ? `${senderName}: ${text.length > 50 ? text.substring(0, 50) + '...' : text}`
-            : text.length > 50 ? text.substring(0, 50) + '...' : text;
-          break;
-        case 'image':
-          title = isGroupChat ? `👥 ${chatName}` : `📷 ${senderName}`;
-          body = isGroupChat ? `${senderName} sent a photo` : 'Sent you a photo';
-          break;
-        case 'video':
-          title = isGroupChat ? `👥 ${chatName}` : `🎥 ${senderName}`;
-          body = isGroupChat ? `${senderName} sent a video` : 'Sent you a video';
-          break;
-        case 'audio':
-          title = isGroupChat ? `👥 ${chatName}` : `🎤 ${senderName}`;
-          body = isGroupChat ? `${senderName} sent a voice message` : 'Sent you a voice message';
-          break;
-        case 'document':
-          title = isGroupChat ? `👥 ${chatName}` : `📄 ${senderName}`;
-          body = isGroupChat ? `${senderName} sent a document` : 'Sent you a document';
-          break;
-        default:
-          title = isGroupChat ? `👥 ${chatName}` : `💬 ${senderName}`;
-          body = isGroupChat ? `${senderName} sent a message` : 'Sent you a message';
+      // Stamp the chat's retention policy, replacing any client-set expiresAt
+      await enforceRetention(snap.ref, messageData, chatData, {
+        createdAtMs: snap.createTime.toMillis(),
+        fullyReadAtMs: null,
+      });
+
+      // Muted users' messages are removed (see ./moderation)
+      if (senderId !== chats.SYSTEM_SENDER_ID) {
+        const senderDoc = await admin.firestore().collection('users').doc(senderId).get();
+        if (senderDoc.exists && moderation.isMuted(senderDoc.data())) {
+          console.log(`Removing message ${context.params.messageId} from muted user ${senderId}`);
+          await snap.ref.delete();
+          return;
+        }
+      }
+
+      // Messages from outside the chat (a stale or forged senderId) notify no one
+      if (senderId !== chats.SYSTEM_SENDER_ID && !memberIds.includes(senderId)) {
+        console.warn(`Sender ${senderId} is not a member of chat ${chatId}; no notifications sent`);
+        return;
+      }
+
+      // End-to-end encrypted messages are never read here (nor filtered):
+      // recipients get a data-only push with the ciphertext envelope and
+      // decrypt it locally
+      const encrypted = encryption.isEncrypted(chatData, messageData);
+      let visibleMessage = encrypted ? encryption.withoutPlaintext(messageData) : messageData;
+
+      // Rule-based content filter (see ./content_filter). Held messages leave
+      // the chat until reviewed; released ones were reviewed already.
+      if (!encrypted && typeof messageData.text === 'string'
+        && !(await isReleasedMessage(chatId, context.params.messageId))) {
+        const filter = await contentFilter.loadFilter(admin.firestore());
+        const outcome = filter.check(messageData.text, chatData);
+        if (outcome.action) {
+          const held = await applyContentFilter(snap, chatId, chatData, messageData, outcome);
+          if (held) return;
+          visibleMessage = { ...messageData, text: outcome.text };
+        }
       }
 
+      // Notification content is rendered per recipient, in their language and
+      // as much of it as their preview mode allows
+      const messageTemplates = await templates.loadTemplates(admin.firestore());
+      const kind = templates.messageKind(type);
+      const preview = !encrypted && type === 'text' ? templates.truncate(visibleMessage.text) : '';
+      const vars = { senderName, chatName, preview };
+      const notificationFor = (content, extra) => (userData, uid) => withActionToken(encrypted
+        ? {
+          ...extra,
+          dataOnly: true,
+          data: encryption.pushData({
+            type: extra.data.type,
+            chatId,
+            messageId: context.params.messageId,
+            senderId,
+          }, messageData),
+        }
+        : previewedNotification(userData, { chatId, chatData, messageTemplates, vars, content, extra }),
+      { uid, chatId, messageId: context.params.messageId });
+      const messageFields = isGroupChat ? { title: 'groupTitle', body: 'groupBody' } : {};
+
       // Get recipient IDs (exclude sender)
-      const recipientIds = memberIds.filter(id => id !== senderId);
+      const memberRecipientIds = memberIds.filter(id => id !== senderId);
+      if (memberRecipientIds.length === 0) return;
+
+      // Count the message as unread for every recipient before notifying,
+      // so badges include it
+      await incrementUnreadCounts(chatId, memberRecipientIds);
+
+      // Members who blocked the sender still see the message in the chat,
+      // but get no push, mention or digest for it
+      const { allowed: recipientIds, skipped } = await relationships.filterRecipients(
+        admin.firestore(), senderId, memberRecipientIds);
+      if (skipped.length > 0) {
+        console.log(`Skipped ${skipped.length} recipient(s) in chat ${chatId}:`,
+          skipped.map(skip => `${skip.userId} (${skip.reason})`).join(', '));
+      }
       if (recipientIds.length === 0) return;
 
       // Send notification to recipients
       const notificationData = {
         type: isGroupChat ? 'group_message' : 'chat_message',
         chatId: chatId,
+        messageId: context.params.messageId,
         senderId: senderId,
         senderName: senderName,
         messageType: type,
         timestamp: new Date().toISOString(),
       };
+      // Shown as the notification's picture where the platform supports it
+      if (!encrypted && type === 'image' && messageData.mediaUrl) {
+        notificationData.imageUrl = messageData.mediaUrl;
+      }
+
+      let regularIds = recipientIds;
+
+      // In group chats, mentioned and replied-to members get a dedicated
+      // high-priority notification instead of the regular one, and members
+      // in mentions-only mode get nothing else
+      if (isGroupChat) {
+        const memberDocs = await Promise.all(
+          recipientIds.map(id => admin.firestore().collection('users').doc(id).get())
+        );
+        const members = new Map(memberDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+        const { userIds: mentionedIds } = mentions.resolveMentionedIds(visibleMessage, members);
+        const replyTargetId = await mentions.getReplyTargetId(admin.firestore(), chatId, messageData.replyTo);
+        const repliedIds = replyTargetId && members.has(replyTargetId) && !mentionedIds.includes(replyTargetId)
+          ? [replyTargetId]
+          : [];
+
+        const targetedFields = { body: preview ? 'previewBody' : 'body' };
+
+        if (mentionedIds.length > 0) {
+          await dispatcher.sendToUsers(mentionedIds, notificationFor({
+            full: ['mention', targetedFields],
+            sender: ['mention', {}],
+          }, {
+            data: { ...notificationData, type: 'mention' },
+            priority: 'high',
+            channelId: 'group_notifications',
+          }), { respectPreferences: true, chatId });
+        }
+
+        if (repliedIds.length > 0) {
+          await dispatcher.sendToUsers(repliedIds, notificationFor({
+            full: ['reply', targetedFields],
+            sender: ['reply', {}],
+          }, {
+            data: { ...notificationData, type: 'reply' },
+            priority: 'high',
+            channelId: 'group_notifications',
+          }), { respectPreferences: true, chatId });
+        }
+
+        const targetedIds = new Set([...mentionedIds, ...repliedIds]);
+        regularIds = recipientIds.filter(id =>
+          !targetedIds.has(id) && !preferences.isMentionsOnly(members.get(id), chatId));
+      }
 
-      // Call the sendNotificationToUsers function
-      const { sendNotificationToUsers } = require('./index');
-      await sendNotificationToUsers({
-        userIds: recipientIds,
-        title: title,
-        body: body,
-        data: notificationData,
-      }, { auth: { uid: senderId } });
+      if (regularIds.length === 0) return;
+
+      // Collapse bursts per recipient: first message in the window is pushed
+      // as-is, later ones become "N new messages" summaries or are held
+      const digestContext = { chatName, isGroupChat, senderName: senderName || null };
+      const plan = await coalescing.planDeliveries(admin.firestore(), {
+        chatId,
+        userIds: regularIds,
+        context: digestContext,
+        config: await coalescing.loadConfig(admin.firestore()),
+      });
+
+      if (plan.single.length > 0) {
+        await dispatcher.sendToUsers(plan.single, notificationFor({
+          full: [kind, messageFields],
+          sender: ['message', messageFields],
+        }, {
+          data: notificationData,
+          channelId: isGroupChat ? 'group_notifications' : 'chat_notifications',
+          collapseKey: coalescing.collapseKeyForChat(chatId),
+        }), { respectPreferences: true, chatId });
+      }
+
+      await Promise.all(plan.summary.map(uid =>
+        sendDigestNotification(uid, { chatId, chatData, ...digestContext })));
 
       console.log(`Notification sent for message in chat ${chatId}`);
       
@@ -235,84 +492,932 @@ exports.handleNewChatMessage = functions.firestore
     }
   });
 
-// Cloud Function to handle broadcast messages
-exports.handleBroadcastMessage = functions.firestore
-  .document('broadcasts/{broadcastId}')
-  .onCreate(async (snap, context) => {
+// Record a content filter outcome for a new message: flag it for review,
+// redact it in place, or move it to held_messages. Returns true when held.
+async function applyContentFilter(snap, chatId, chatData, messageData, outcome) {
+  const messageId = snap.id;
+  const reason = outcome.matches.map(match => match.reason).join('; ');
+  const flagRef = admin.firestore().collection('flagged_messages').doc();
+  const flag = {
+    messageId,
+    chatId,
+    senderId: messageData.senderId,
+    reason,
+    reportedBy: contentFilter.FILTER_REPORTER_ID,
+    status: 'pending',
+    flaggedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reviewedBy: null,
+    reviewedAt: null,
+    action: null,
+    filterAction: outcome.action,
+    matches: outcome.matches,
+  };
+
+  const batch = admin.firestore().batch();
+  batch.set(flagRef, flag);
+  if (outcome.action === contentFilter.ACTIONS.HOLD) {
+    batch.set(contentFilter.heldMessageRef(admin.firestore(), chatId, messageId), {
+      chatId,
+      messageId,
+      message: messageData,
+      flagId: flagRef.id,
+      matches: outcome.matches,
+      status: 'held',
+      heldAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    batch.delete(snap.ref);
+  } else if (outcome.action === contentFilter.ACTIONS.REDACT) {
+    batch.update(snap.ref, { text: outcome.text, redacted: true });
+  }
+  // The chat list preview must not show it either
+  if (outcome.action !== contentFilter.ACTIONS.FLAG && chatData.lastMessage === messageData.text) {
+    batch.update(admin.firestore().collection('chats').doc(chatId), {
+      lastMessage: outcome.action === contentFilter.ACTIONS.REDACT ? outcome.text : contentFilter.REDACTION,
+    });
+  }
+  await batch.commit();
+
+  console.log(`Content filter: ${outcome.action} message ${messageId} in chat ${chatId} (${reason})`);
+  return outcome.action === contentFilter.ACTIONS.HOLD;
+}
+
+async function isReleasedMessage(chatId, messageId) {
+  const held = await contentFilter.heldMessageRef(admin.firestore(), chatId, messageId).get();
+  return held.exists && held.data().status === 'released';
+}
+
+// Make a message's expiresAt match its chat's retention policy (see ./retention).
+// Extra fields to write in the same update can be passed in `extra`.
+async function enforceRetention(messageRef, messageData, chatData, times, extra = {}) {
+  const settings = await retention.loadSettings(admin.firestore());
+  const policy = retention.resolvePolicy(chatData);
+  const expected = retention.expiryFor(policy, settings, times);
+
+  const current = messageData.expiresAt && typeof messageData.expiresAt.toMillis === 'function'
+    ? messageData.expiresAt.toMillis()
+    : null;
+  const expectedMs = expected ? expected.getTime() : null;
+
+  const update = { ...extra };
+  if (current !== expectedMs || (expectedMs === null && messageData.expiresAt !== undefined)) {
+    update.expiresAt = expected
+      ? admin.firestore.Timestamp.fromDate(expected)
+      : admin.firestore.FieldValue.delete();
+  }
+  if (messageData.retentionMode !== policy.mode) {
+    update.retentionMode = policy.mode;
+  }
+
+  if (Object.keys(update).length > 0) {
+    await messageRef.update(update);
+  }
+}
+
+// Increment users/{uid}.unreadCounts.{chatId} for each recipient
+async function incrementUnreadCounts(chatId, userIds) {
+  const db = admin.firestore();
+  const batchSize = 500;
+
+  for (let i = 0; i < userIds.length; i += batchSize) {
+    const batch = db.batch();
+    for (const uid of userIds.slice(i, i + batchSize)) {
+      batch.set(db.collection('users').doc(uid), {
+        unreadCounts: { [chatId]: admin.firestore.FieldValue.increment(1) },
+      }, { merge: true });
+    }
+    await batch.commit();
+  }
+}
+
+// Build one recipient's chat notification according to their preview mode
+// (see ./notifications/preferences). `content` gives the template kind and
+// fields for the full and sender-only previews; `extra` holds the data and
+// delivery options.
+function previewedNotification(userData, { chatId, chatData, messageTemplates, vars, content, extra }) {
+  const mode = preferences.resolvePreviewMode(userData, { chatId, chatData });
+  const data = { ...extra.data, previewMode: mode };
+
+  // The client fetches the message itself; only identifiers go through FCM
+  if (mode === preferences.PREVIEW_MODES.DATA_ONLY) {
+    const { type, messageId, unreadCount } = data;
+    return { ...extra, dataOnly: true, data: { type, chatId, messageId, unreadCount, previewMode: mode } };
+  }
+
+  let template = content.full;
+  if (mode === preferences.PREVIEW_MODES.SENDER) template = content.sender;
+  if (mode === preferences.PREVIEW_MODES.HIDDEN) {
+    template = ['hidden', {}];
+    delete data.senderId;
+    delete data.senderName;
+    delete data.messageType;
+  }
+  if (mode !== preferences.PREVIEW_MODES.FULL) delete data.imageUrl;
+
+  const [kind, fields] = template;
+  return {
+    ...extra,
+    ...messageTemplates.render(kind, templates.localeOf(userData), vars, fields),
+    data,
+  };
+}
+
+// Add the recipient's token for acting on the notification (reply, mark as read)
+function withActionToken(notification, target) {
+  const actionToken = notificationActions.createToken(notificationActionSecret, target);
+  if (!actionToken) return notification;
+  return { ...notification, data: { ...notification.data, actionToken } };
+}
+
+// Send a coalesced "N new messages" push for one chat to one recipient
+async function sendDigestNotification(uid, { chatId, chatData, chatName, isGroupChat, senderName }) {
+  const unreadCount = await unread.countUnread(admin.firestore(), chatId, uid);
+  if (unreadCount === 0) return;
+
+  if (!chatData) {
+    const chatDoc = await admin.firestore().collection('chats').doc(chatId).get();
+    chatData = chatDoc.exists ? chatDoc.data() : {};
+  }
+
+  const count = unreadCount >= unread.MAX_UNREAD_SCAN ? `${unreadCount}+` : `${unreadCount}`;
+  const messageTemplates = await templates.loadTemplates(admin.firestore());
+  const fields = isGroupChat ? { title: 'groupTitle', body: 'groupBody' } : {};
+
+  await dispatcher.sendToUsers([uid], userData => withActionToken(previewedNotification(userData, {
+    chatId,
+    chatData,
+    messageTemplates,
+    vars: { count, chatName, senderName },
+    content: { full: ['digest', fields], sender: ['digest', fields] },
+    extra: {
+      data: {
+        type: 'message_digest',
+        chatId: chatId,
+        unreadCount: String(unreadCount),
+        timestamp: new Date().toISOString(),
+      },
+      channelId: isGroupChat ? 'group_notifications' : 'chat_notifications',
+      collapseKey: coalescing.collapseKeyForChat(chatId),
+    },
+  }), { uid, chatId }), { respectPreferences: true, chatId });
+}
+
+// Scheduled function to send summaries for messages held by coalescing
+exports.flushNotificationDigests = functions.pubsub.schedule('every 1 minutes').onRun(async () => {
+  try {
+    const config = await coalescing.loadConfig(admin.firestore());
+    const digests = await coalescing.claimPendingDigests(admin.firestore(), config);
+
+    await Promise.all(digests.map(digest =>
+      sendDigestNotification(digest.userId, digest).catch(error => {
+        console.error(`Error sending digest for chat ${digest.chatId} to ${digest.userId}:`, error);
+      })));
+
+    console.log(`Flushed ${digests.length} notification digest(s)`);
+  } catch (error) {
+    console.error('Error flushing notification digests:', error);
+  }
+  return null;
+});
+
+// Scheduled function to post due scheduled messages (see ./scheduled_messages)
+exports.deliverScheduledMessages = functions.pubsub.schedule('every 1 minutes').onRun(async () => {
+  try {
+    const summary = await scheduledMessages.deliverDueSchedules({
+      db: admin.firestore(),
+      FieldValue: admin.firestore.FieldValue,
+    });
+    console.log('Scheduled message delivery:', summary);
+  } catch (error) {
+    console.error('Error delivering scheduled messages:', error);
+  }
+  return null;
+});
+
+// Scheduled function to delete expired messages and their media (see ./retention_job)
+exports.deleteExpiredMessages = functions
+  .runWith({ timeoutSeconds: 540, memory: '512MB' })
+  .pubsub.schedule('every 10 minutes').onRun(async () => {
     try {
-      const broadcastData = snap.data();
-      const { senderId, senderName, text, type } = broadcastData;
+      const summary = await retentionJob.runRetentionJob({
+        db: admin.firestore(),
+        storage: admin.storage(),
+        FieldValue: admin.firestore.FieldValue,
+        FieldPath: admin.firestore.FieldPath,
+        Timestamp: admin.firestore.Timestamp,
+      });
+      console.log('Message retention run:', summary);
+    } catch (error) {
+      console.error('Error deleting expired messages:', error);
+    }
+    return null;
+  });
+
+// Cloud Function to sync unread counts and badges when messages are read.
+// Recomputes the reader's unread count for the chat from `readBy` and sends a
+// silent badge-sync push so their other devices update too. Once every member
+// has read the message it is stamped with `fullyReadAt`, and on every update
+// `expiresAt` is put back in line with the chat's retention policy.
+exports.handleMessageRead = functions.firestore
+  .document('chats/{chatId}/messages/{messageId}')
+  .onUpdate(async (change, context) => {
+    try {
+      const before = change.before.data();
+      const after = change.after.data();
+      const chatId = context.params.chatId;
 
-      // Determine notification content
-      let title, body;
+      const readers = unread.newReaders(before, after).filter(uid => uid !== after.senderId);
+
+      await Promise.all(readers.map(async (uid) => {
+        const userRef = admin.firestore().collection('users').doc(uid);
+        const [userDoc, unreadCount] = await Promise.all([
+          userRef.get(),
+          unread.countUnread(admin.firestore(), chatId, uid),
+        ]);
+
+        const stored = userDoc.exists ? (userDoc.data().unreadCounts || {})[chatId] : undefined;
+        if (stored === unreadCount) return;
+
+        await userRef.set({ unreadCounts: { [chatId]: unreadCount } }, { merge: true });
+
+        await dispatcher.sendToUsers([uid], {
+          data: {
+            type: 'badge_sync',
+            chatId: chatId,
+            unreadCount: String(unreadCount),
+          },
+          silent: true,
+        });
+      }));
+
+      const chatDoc = await admin.firestore().collection('chats').doc(chatId).get();
+      if (!chatDoc.exists) return;
+      const chatData = chatDoc.data();
+
+      const extra = {};
+      let fullyReadAtMs = after.fullyReadAt ? after.fullyReadAt.toMillis() : null;
+      if (fullyReadAtMs === null && readers.length > 0) {
+        const recipientIds = chats.getMemberIds(chatData).filter(uid => uid !== after.senderId);
+        if (recipientIds.length > 0 && recipientIds.every(uid => unread.isReadBy(after.readBy, uid))) {
+          const now = admin.firestore.Timestamp.now();
+          fullyReadAtMs = now.toMillis();
+          extra.fullyReadAt = now;
+        }
+      }
+
+      await enforceRetention(change.after.ref, after, chatData, {
+        createdAtMs: change.after.createTime.toMillis(),
+        fullyReadAtMs,
+      }, extra);
       
-      switch (type) {
-        case 'text':
-          title = '📢 Broadcast';
-          body = `${senderName}: ${text.length > 50 ? text.substring(0, 50) + '...' : text}`;
-          break;
-        case 'image':
-          title = '📢 Broadcast';
-          body = `${senderName} sent a photo`;
-          break;
-        case 'video':
-          title = '📢 Broadcast';
-          body = `${senderName} sent a video`;
-          break;
-        case 'audio':
-          title = '📢 Broadcast';
-          body = `${senderName} sent a voice message`;
-          break;
-        case 'document':
-          title = '📢 Broadcast';
-          body = `${senderName} sent a document`;
-          break;
-        default:
-          title = '📢 Broadcast';
-          body = `${senderName} sent a message`;
+    } catch (error) {
+      console.error('Error handling message update:', error);
+    }
+  });
+
+// Broadcasts (see ./broadcasts). The callables check the caller's role and
+// move broadcasts through draft -> approved -> sent.
+function broadcastHttpsError(error, fallbackMessage) {
+  if (error instanceof functions.https.HttpsError) return error;
+  if (error instanceof broadcasts.BroadcastError) return new functions.https.HttpsError(error.code, error.message);
+  console.error(fallbackMessage, error);
+  return new functions.https.HttpsError('internal', fallbackMessage, error.message);
+}
+
+// The caller's role, when it may broadcast
+async function requireBroadcaster(context, { adminOnly = false } = {}) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const role = await broadcasts.roleOf(admin.firestore(), context.auth.uid);
+  if (adminOnly ? !broadcasts.isAdminRole(role) : !broadcasts.canBroadcast(role)) {
+    throw new functions.https.HttpsError('permission-denied',
+      adminOnly ? 'Only admins can do this' : `Broadcasting requires one of the roles: ${broadcasts.SENDER_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+// Rendered per recipient: the broadcast's own title and message, or for the
+// app's older text/media broadcasts the localized broadcast template
+async function broadcastNotificationFor(broadcastId, broadcast) {
+  const { senderId, senderName, text, type, title, message } = broadcast;
+  const notificationData = {
+    type: 'broadcast_message',
+    broadcastId,
+    senderId: senderId || broadcast.createdBy || null,
+    senderName: senderName || null,
+    messageType: type || 'text',
+    urgent: broadcast.urgent === true ? 'true' : 'false',
+    timestamp: new Date().toISOString(),
+  };
+  const extra = {
+    data: notificationData,
+    channelId: 'broadcast_notifications',
+    category: 'broadcast',
+  };
+
+  if (title && message) {
+    return () => ({ title, body: message, ...extra });
+  }
+
+  const messageTemplates = await templates.loadTemplates(admin.firestore());
+  const vars = { senderName, preview: type === 'text' ? templates.truncate(text) : '' };
+  const fields = { body: templates.messageKind(type) };
+  return userData => ({
+    ...messageTemplates.render('broadcast', templates.localeOf(userData), vars, fields),
+    ...extra,
+  });
+}
+
+async function deliverBroadcast(ref, broadcast) {
+  const stats = await broadcasts.deliver({
+    db: admin.firestore(),
+    dispatcher,
+    tokensCollection: tokenRegistry.TOKENS_COLLECTION,
+  }, ref, broadcast, await broadcastNotificationFor(ref.id, broadcast));
+  console.log(`Broadcast ${ref.id} sent to ${stats.recipientCount} users: ` +
+    `${stats.successCount} success, ${stats.failureCount} failure`);
+  return stats;
+}
+
+// Start a draft or approved broadcast: scheduled ones wait for
+// deliverScheduledBroadcasts, the others are sent now. Returns { status, stats, nextRunAt }.
+async function startBroadcast(ref, settings, sentBy) {
+  const broadcast = await broadcasts.transition(admin.firestore(), ref, broadcasts.sendableStatuses(settings),
+    data => (data.schedule ? broadcasts.STATUS.SCHEDULED : broadcasts.STATUS.SENDING),
+    data => ({ sentBy, nextRunAt: data.schedule ? broadcastSchedule.firstRunAt(data.schedule) : null }));
+
+  if (broadcast.schedule) {
+    const nextRunAt = broadcastSchedule.firstRunAt(broadcast.schedule);
+    return { status: broadcasts.STATUS.SCHEDULED, stats: null, nextRunAt: nextRunAt.toISOString() };
+  }
+  return { status: broadcasts.STATUS.SENT, stats: await deliverBroadcast(ref, broadcast), nextRunAt: null };
+}
+
+// Creators and admins may change or cancel a broadcast
+async function requireBroadcastOwner(context, broadcastId) {
+  const role = await requireBroadcaster(context);
+  if (!broadcastId) {
+    throw new functions.https.HttpsError('invalid-argument', 'Missing required field: broadcastId');
+  }
+  const ref = admin.firestore().collection('broadcasts').doc(broadcastId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new functions.https.HttpsError('not-found', 'Broadcast not found');
+  }
+  if (doc.data().createdBy !== context.auth.uid && !broadcasts.isAdminRole(role)) {
+    throw new functions.https.HttpsError('permission-denied', 'Only its creator or an admin can change this broadcast');
+  }
+  return { ref, role };
+}
+
+function serializeBroadcast(doc) {
+  const data = doc.data();
+  const iso = value => (value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value || null);
+  return {
+    broadcastId: doc.id,
+    title: data.title || null,
+    message: data.message || data.text || null,
+    audience: data.audience || { type: 'all' },
+    urgent: data.urgent === true,
+    status: data.status,
+    schedule: data.schedule
+      ? { ...data.schedule, sendAt: iso(data.schedule.sendAt) || undefined }
+      : null,
+    nextRunAt: iso(data.nextRunAt),
+    createdBy: data.createdBy || data.senderId || null,
+    approvedBy: data.approvedBy || null,
+    createdAt: iso(data.timestamp),
+    stats: data.stats || null,
+  };
+}
+
+// Create a broadcast: { title, message, audience, urgent, draft, schedule }.
+// Sent, or scheduled (see ./broadcast_schedule), at once unless `draft` is
+// set or broadcasts require approval.
+exports.createBroadcast = functions.https.onCall(async (data, context) => {
+  try {
+    const role = await requireBroadcaster(context);
+    const { title, message, audience, urgent = false, draft = false, schedule } = data || {};
+
+    if (typeof title !== 'string' || !title.trim() || typeof message !== 'string' || !message.trim()) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: title, message');
+    }
+    if (urgent === true && !broadcasts.isAdminRole(role)) {
+      throw new functions.https.HttpsError('permission-denied', 'Only admins can send urgent broadcasts');
+    }
+
+    const settings = await broadcasts.loadSettings(admin.firestore());
+    const userRecord = await admin.auth().getUser(context.auth.uid).catch(() => null);
+    const ref = admin.firestore().collection('broadcasts').doc();
+    await ref.set({
+      title: title.trim(),
+      message: message.trim(),
+      audience: broadcasts.normalizeAudience(audience),
+      schedule: broadcastSchedule.normalizeSchedule(schedule),
+      urgent: urgent === true,
+      status: broadcasts.STATUS.DRAFT,
+      createdBy: context.auth.uid,
+      senderId: context.auth.uid,
+      senderName: (userRecord && (userRecord.displayName || userRecord.email)) || 'Admin',
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      type: 'admin_broadcast',
+    });
+
+    if (draft || settings.requireApproval) {
+      return { success: true, broadcastId: ref.id, status: broadcasts.STATUS.DRAFT };
+    }
+
+    return { success: true, broadcastId: ref.id, ...await startBroadcast(ref, settings, context.auth.uid) };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to create broadcast');
+  }
+});
+
+// Approve a draft; admins only
+exports.approveBroadcast = functions.https.onCall(async (data, context) => {
+  try {
+    await requireBroadcaster(context, { adminOnly: true });
+    const { broadcastId } = data || {};
+    if (!broadcastId) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required field: broadcastId');
+    }
+
+    await broadcasts.transition(admin.firestore(), admin.firestore().collection('broadcasts').doc(broadcastId),
+      [broadcasts.STATUS.DRAFT], broadcasts.STATUS.APPROVED, {
+        approvedBy: context.auth.uid,
+        approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    return { success: true, broadcastId, status: broadcasts.STATUS.APPROVED };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to approve broadcast');
+  }
+});
+
+// Send an approved broadcast, or a draft when approval isn't required;
+// scheduled ones are queued for their time
+exports.sendBroadcast = functions.https.onCall(async (data, context) => {
+  try {
+    await requireBroadcaster(context);
+    const { broadcastId } = data || {};
+    if (!broadcastId) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required field: broadcastId');
+    }
+
+    const settings = await broadcasts.loadSettings(admin.firestore());
+    const started = await startBroadcast(admin.firestore().collection('broadcasts').doc(broadcastId),
+      settings, context.auth.uid);
+    return { success: true, broadcastId, ...started };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to send broadcast');
+  }
+});
+
+// Send { title, body } to every user with a device at once. Kept for older
+// callers; refused when broadcasts require approval, use createBroadcast then
+exports.broadcastToAllUsers = functions.https.onCall(async (data, context) => {
+  try {
+    await requireBroadcaster(context);
+    const { title, body } = data || {};
+    if (typeof title !== 'string' || !title.trim() || typeof body !== 'string' || !body.trim()) {
+      throw new functions.https.HttpsError('invalid-argument', 'Missing required fields: title, body');
+    }
+
+    const settings = await broadcasts.loadSettings(admin.firestore());
+    if (settings.requireApproval) {
+      throw new functions.https.HttpsError('failed-precondition',
+        'Broadcasts require approval; create a draft with createBroadcast');
+    }
+
+    const ref = admin.firestore().collection('broadcasts').doc();
+    await ref.set({
+      title: title.trim(),
+      message: body.trim(),
+      audience: { type: 'all' },
+      schedule: null,
+      urgent: false,
+      status: broadcasts.STATUS.DRAFT,
+      createdBy: context.auth.uid,
+      senderId: context.auth.uid,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      type: 'admin_broadcast',
+    });
+
+    return { success: true, broadcastId: ref.id, ...await startBroadcast(ref, settings, context.auth.uid) };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to send broadcast');
+  }
+});
+
+// Change a broadcast that hasn't gone out: { broadcastId, title, message,
+// audience, urgent, schedule }; `schedule: null` sends a scheduled one at the
+// next run. Under requireApproval an approved or scheduled broadcast goes back
+// to draft and needs approving again.
+exports.updateBroadcast = functions.https.onCall(async (data, context) => {
+  try {
+    const { broadcastId, title, message, audience, urgent, schedule } = data || {};
+    const { ref, role } = await requireBroadcastOwner(context, broadcastId);
+
+    const changes = {};
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        throw new functions.https.HttpsError('invalid-argument', 'title must not be empty');
       }
+      changes.title = title.trim();
+    }
+    if (message !== undefined) {
+      if (typeof message !== 'string' || !message.trim()) {
+        throw new functions.https.HttpsError('invalid-argument', 'message must not be empty');
+      }
+      changes.message = message.trim();
+    }
+    if (audience !== undefined) changes.audience = broadcasts.normalizeAudience(audience);
+    if (urgent !== undefined) {
+      if (urgent === true && !broadcasts.isAdminRole(role)) {
+        throw new functions.https.HttpsError('permission-denied', 'Only admins can send urgent broadcasts');
+      }
+      changes.urgent = urgent === true;
+    }
+    if (schedule !== undefined) changes.schedule = broadcastSchedule.normalizeSchedule(schedule);
+
+    const settings = await broadcasts.loadSettings(admin.firestore());
+    const { DRAFT, APPROVED, SCHEDULED } = broadcasts.STATUS;
+    const reapprove = status => settings.requireApproval && status !== DRAFT;
+
+    const before = await broadcasts.transition(admin.firestore(), ref, [DRAFT, APPROVED, SCHEDULED],
+      current => (reapprove(current.status) ? DRAFT : current.status),
+      (current) => {
+        if (reapprove(current.status)) return { ...changes, approvedBy: null, approvedAt: null, nextRunAt: null };
+        if (current.status !== SCHEDULED) return changes;
+        const nextSchedule = changes.schedule !== undefined ? changes.schedule : current.schedule;
+        return {
+          ...changes,
+          nextRunAt: nextSchedule ? broadcastSchedule.firstRunAt(nextSchedule) : new Date(),
+        };
+      });
 
-      // Get all users with FCM tokens
-      const usersSnapshot = await admin.firestore()
-        .collection('users')
-        .where('fcmToken', '!=', null)
-        .get();
-
-      const userIds = [];
-      usersSnapshot.forEach(doc => {
-        const userData = doc.data();
-        if (userData.fcmToken && userData.fcmToken.length > 0) {
-          userIds.push(doc.id);
+    const updated = await ref.get();
+    console.log(`Broadcast ${broadcastId} updated by ${context.auth.uid} (was ${before.status})`);
+    return { success: true, broadcast: serializeBroadcast(updated) };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to update broadcast');
+  }
+});
+
+// Cancel a broadcast before it goes out. A local-time broadcast that has
+// started stops before the zones it hasn't reached.
+exports.cancelBroadcast = functions.https.onCall(async (data, context) => {
+  try {
+    const { broadcastId } = data || {};
+    const { ref } = await requireBroadcastOwner(context, broadcastId);
+    const { DRAFT, APPROVED, SCHEDULED, SENDING, CANCELLED } = broadcasts.STATUS;
+
+    const before = await broadcasts.transition(admin.firestore(), ref, [DRAFT, APPROVED, SCHEDULED, SENDING],
+      (current) => {
+        if (current.status === SENDING && !broadcastSchedule.isLocalTime(current.schedule)) {
+          throw new broadcasts.BroadcastError('failed-precondition', 'Broadcast is already being sent');
         }
+        return CANCELLED;
+      }, {
+        nextRunAt: null,
+        cancelledBy: context.auth.uid,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
-      if (userIds.length === 0) return;
+    const cancelledBatches = before.status === SENDING
+      ? await broadcastSchedule.cancelPendingBatches(admin.firestore(), ref)
+      : 0;
+    return { success: true, broadcastId, status: CANCELLED, cancelledBatches };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to cancel broadcast');
+  }
+});
 
-      // Send broadcast notification
-      const notificationData = {
-        type: 'broadcast_message',
-        senderId: senderId,
-        senderName: senderName,
-        messageType: type,
-        timestamp: new Date().toISOString(),
-      };
+// Broadcasts that haven't gone out yet: drafts, approved, scheduled and
+// local-time ones still reaching time zones, soonest first
+exports.listPendingBroadcasts = functions.https.onCall(async (data, context) => {
+  try {
+    await requireBroadcaster(context);
+    const { DRAFT, APPROVED, SCHEDULED, SENDING } = broadcasts.STATUS;
+    const snapshot = await admin.firestore().collection('broadcasts')
+      .where('status', 'in', [DRAFT, APPROVED, SCHEDULED, SENDING])
+      .get();
 
-      // Call the sendNotificationToUsers function
-      const { sendNotificationToUsers } = require('./index');
-      await sendNotificationToUsers({
-        userIds: userIds,
-        title: title,
-        body: body,
-        data: notificationData,
-      }, { auth: { uid: senderId } });
+    const pending = snapshot.docs.map(serializeBroadcast).sort((a, b) =>
+      (a.nextRunAt || a.createdAt || '').localeCompare(b.nextRunAt || b.createdAt || ''));
+    return { success: true, broadcasts: pending };
+  } catch (error) {
+    throw broadcastHttpsError(error, 'Failed to list pending broadcasts');
+  }
+});
 
-      console.log(`Broadcast notification sent to ${userIds.length} users`);
-      
+// Deliver scheduled broadcasts whose time has come: one-off ones go to their
+// whole audience, local-time ones are planned per time zone on their first
+// run and then sent zone by zone (see ./broadcast_schedule)
+exports.deliverScheduledBroadcasts = functions.pubsub.schedule('every 1 minutes').onRun(async () => {
+  try {
+    const now = new Date();
+    const due = await admin.firestore().collection('broadcasts')
+      .where('nextRunAt', '<=', now)
+      .orderBy('nextRunAt')
+      .limit(10)
+      .get();
+
+    for (const doc of due.docs) {
+      await runScheduledBroadcast(doc.ref, now).catch((error) => {
+        console.error(`Error delivering scheduled broadcast ${doc.id}:`, error);
+      });
+    }
+
+    console.log(`Processed ${due.size} scheduled broadcast(s)`);
+  } catch (error) {
+    console.error('Error delivering scheduled broadcasts:', error);
+  }
+  return null;
+});
+
+async function runScheduledBroadcast(ref, now) {
+  const { SCHEDULED, SENDING, FAILED } = broadcasts.STATUS;
+  let broadcast;
+  try {
+    // Only one run takes a scheduled broadcast
+    broadcast = await broadcasts.transition(admin.firestore(), ref, [SCHEDULED, SENDING], SENDING,
+      current => (current.status === SCHEDULED ? { startedAt: now, nextRunAt: null } : {}));
+  } catch (error) {
+    if (error instanceof broadcasts.BroadcastError) return;
+    throw error;
+  }
+
+  if (!broadcastSchedule.isLocalTime(broadcast.schedule)) {
+    if (broadcast.status === SCHEDULED) await deliverBroadcast(ref, broadcast);
+    return;
+  }
+
+  if (broadcast.status === SCHEDULED) {
+    try {
+      const settings = await broadcasts.loadSettings(admin.firestore());
+      const plan = await broadcastSchedule.planLocalBatches({
+        db: admin.firestore(),
+        tokensCollection: tokenRegistry.TOKENS_COLLECTION,
+      }, ref, broadcast, settings);
+      await ref.update({
+        plannedAt: now,
+        nextRunAt: plan.nextRunAt || now,
+        stats: { ...broadcasts.emptyStats(), recipientCount: plan.recipientCount },
+      });
+      console.log(`Broadcast ${ref.id} planned for ${plan.recipientCount} users in ${plan.batchCount} batch(es)`);
+    } catch (error) {
+      await ref.update({ status: FAILED, failedAt: now, nextRunAt: null, error: error.message });
+      throw error;
+    }
+  }
+
+  const sent = await broadcastSchedule.deliverDueBatches({
+    db: admin.firestore(),
+    dispatcher,
+    FieldValue: admin.firestore.FieldValue,
+  }, ref, broadcast, await broadcastNotificationFor(ref.id, broadcast), { now });
+  if (sent.recipientCount > 0) {
+    console.log(`Broadcast ${ref.id}: sent to ${sent.recipientCount} more users in their local time`);
+  }
+}
+
+// The app's older broadcasts are written straight to Firestore without a
+// status; they go to everyone when their sender may broadcast. Broadcasts
+// with a status belong to the callables above.
+exports.handleBroadcastMessage = functions.firestore
+  .document('broadcasts/{broadcastId}')
+  .onCreate(async (snap) => {
+    try {
+      const broadcastData = snap.data();
+      if (broadcastData.status) return;
+
+      const role = await broadcasts.roleOf(admin.firestore(), broadcastData.senderId);
+      if (!broadcasts.canBroadcast(role)) {
+        console.warn(`Broadcast ${snap.id} rejected: sender ${broadcastData.senderId} may not broadcast`);
+        await snap.ref.update({ status: broadcasts.STATUS.REJECTED });
+        return;
+      }
+
+      // Urgent broadcasts bypass mutes, DND and quiet hours, but only when sent by an admin
+      const broadcast = {
+        ...broadcastData,
+        audience: broadcastData.audience || { type: 'all' },
+        urgent: broadcastData.urgent === true && broadcasts.isAdminRole(role),
+      };
+      await snap.ref.update({ status: broadcasts.STATUS.SENDING, urgent: broadcast.urgent });
+      await deliverBroadcast(snap.ref, broadcast);
     } catch (error) {
       console.error('Error handling broadcast message:', error);
     }
   });
 
+// Deduplicate and score new reports, alerting admins when the reported
+// user's score reaches the threshold (see ./moderation)
+exports.handleNewReport = functions.firestore
+  .document('reports/{reportId}')
+  .onCreate(async (snap) => {
+    try {
+      const { reporterId, reportedUserId, reportedUsername } = snap.data();
+      if (!reporterId || !reportedUserId) return;
+
+      const settings = await moderation.loadSettings(admin.firestore());
+      const duplicate = await moderation.findDuplicateReport(admin.firestore(), snap, settings);
+      if (duplicate) {
+        await snap.ref.update({ status: moderation.STATUS.DUPLICATE, duplicateOf: duplicate.id });
+        return;
+      }
+
+      await scoreReportedUser(reportedUserId, reportedUsername, settings, snap.ref);
+    } catch (error) {
+      console.error('Error handling new report:', error);
+    }
+  });
+
+// Same for flagged messages, which count against the message's sender
+exports.handleNewFlaggedMessage = functions.firestore
+  .document('flagged_messages/{flagId}')
+  .onCreate(async (snap) => {
+    try {
+      const { messageId, chatId, reportedBy } = snap.data();
+      if (!messageId || !chatId || !reportedBy) return;
+
+      const settings = await moderation.loadSettings(admin.firestore());
+      const duplicate = await moderation.findDuplicateFlag(admin.firestore(), snap);
+      if (duplicate) {
+        await snap.ref.update({ status: moderation.STATUS.DUPLICATE, duplicateOf: duplicate.id });
+        return;
+      }
+
+      // The content filter stamps the sender itself, since held messages
+      // are no longer in the chat
+      let { senderId, senderName } = snap.data();
+      if (!senderId) {
+        const messageDoc = await admin.firestore()
+          .collection('chats').doc(chatId).collection('messages').doc(messageId).get();
+        if (!messageDoc.exists) return;
+        ({ senderId, senderName } = messageDoc.data());
+        if (!senderId) return;
+
+        // Stamped so scores can find flags by sender
+        await snap.ref.update({ senderId });
+      }
+      if (senderId === chats.SYSTEM_SENDER_ID) return;
+
+      await scoreReportedUser(senderId, senderName, settings, snap.ref);
+    } catch (error) {
+      console.error('Error handling flagged message:', error);
+    }
+  });
+
+async function scoreReportedUser(uid, userName, settings, sourceRef) {
+  const { score, reporterCount, alert } = await moderation.updateScore(admin.firestore(), uid, settings);
+  await sourceRef.update({ score });
+  if (!alert) return;
+
+  const adminIds = await moderation.findAdminIds(admin.firestore());
+  console.log(`User ${uid} reached report score ${score}; alerting ${adminIds.length} admin(s)`);
+  if (adminIds.length === 0) return;
+
+  const messageTemplates = await templates.loadTemplates(admin.firestore());
+  const vars = { userName: userName || uid, count: String(reporterCount) };
+  await dispatcher.sendToUsers(adminIds, userData => ({
+    ...messageTemplates.render('moderationAlert', templates.localeOf(userData), vars),
+    data: {
+      type: 'moderation_alert',
+      userId: uid,
+      score: String(score),
+      reporterCount: String(reporterCount),
+    },
+    priority: 'high',
+  }));
+}
+
+// Apply the action an admin set on a report or flagged message
+// (ReportsReviewScreen, AdminGroupService.reviewFlaggedMessage). Triggers
+// don't know who wrote the change: config/firestore.rules lets only admins set
+// `action`, as themselves in `reviewedBy`, and only admins change roles.
+exports.handleReportReview = functions.firestore
+  .document('reports/{reportId}')
+  .onUpdate(change => applyReviewAction(change, 'reports', change.after.data().reportedUserId));
+
+exports.handleFlaggedMessageReview = functions.firestore
+  .document('flagged_messages/{flagId}')
+  .onUpdate(change => (change.after.data().action === contentFilter.RELEASE_ACTION
+    ? releaseHeldMessage(change)
+    : applyReviewAction(change, 'flagged_messages', change.after.data().senderId)));
+
+// Put a message the content filter held back into its chat. It is then
+// delivered like a new message, without being filtered again.
+async function releaseHeldMessage(change) {
+  const before = change.before.data();
+  const after = change.after.data();
+  if (before.action === after.action) return;
+
+  const { chatId, messageId, reviewedBy } = after;
+  const audit = {
+    action: contentFilter.RELEASE_ACTION,
+    targetUserId: after.senderId || null,
+    performedBy: reviewedBy || null,
+    source: { collection: 'flagged_messages', id: change.after.id },
+    reason: after.reason || null,
+  };
+
+  try {
+    if (!(await moderation.isAdmin(admin.firestore(), reviewedBy))) {
+      await moderation.writeAuditLog(admin.firestore(), { ...audit, outcome: 'refused', error: 'Reviewer is not an admin' });
+      await change.after.ref.update({ actionResult: { outcome: 'refused' } });
+      return;
+    }
+
+    const heldRef = contentFilter.heldMessageRef(admin.firestore(), chatId, messageId);
+    const released = await admin.firestore().runTransaction(async (transaction) => {
+      const held = await transaction.get(heldRef);
+      if (!held.exists || held.data().status !== 'held') return false;
+
+      transaction.update(heldRef, {
+        status: 'released',
+        releasedBy: reviewedBy,
+        releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.set(admin.firestore().collection('chats').doc(chatId).collection('messages').doc(messageId),
+        held.data().message);
+      return true;
+    });
+
+    const outcome = released ? 'applied' : 'failed';
+    await moderation.writeAuditLog(admin.firestore(), {
+      ...audit,
+      outcome,
+      ...(released ? {} : { error: 'No held message to release' }),
+    });
+    await change.after.ref.update({
+      actionResult: { outcome, action: contentFilter.RELEASE_ACTION },
+      actionTakenAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`Held message ${messageId} in chat ${chatId}: release ${outcome}`);
+  } catch (error) {
+    console.error('Error releasing held message:', error);
+    await moderation.writeAuditLog(admin.firestore(), { ...audit, outcome: 'failed', error: error.message })
+      .catch(logError => console.error('Error writing audit log:', logError));
+  }
+}
+
+async function applyReviewAction(change, collection, targetUserId) {
+  const before = change.before.data();
+  const after = change.after.data();
+  const { action, reviewedBy } = after;
+
+  // Only newly set moderation actions; other review outcomes are just recorded
+  if (!Object.values(moderation.ACTIONS).includes(action) || action === before.action) return;
+
+  const audit = {
+    action,
+    targetUserId: targetUserId || null,
+    performedBy: reviewedBy || null,
+    source: { collection, id: change.after.id },
+    reason: after.reason || null,
+  };
+
+  try {
+    if (!targetUserId) {
+      throw new Error('No user to act on');
+    }
+    if (!(await moderation.isAdmin(admin.firestore(), reviewedBy))) {
+      await moderation.writeAuditLog(admin.firestore(), { ...audit, outcome: 'refused', error: 'Reviewer is not an admin' });
+      await change.after.ref.update({ actionResult: { outcome: 'refused' } });
+      return;
+    }
+
+    const settings = await moderation.loadSettings(admin.firestore());
+    const result = await moderation.applyAction({
+      db: admin.firestore(),
+      auth: admin.auth(),
+      FieldValue: admin.firestore.FieldValue,
+    }, { action, uid: targetUserId, muteHours: after.muteHours, settings });
+
+    await moderation.writeAuditLog(admin.firestore(), { ...audit, outcome: 'applied', result });
+    await change.after.ref.update({
+      actionResult: { outcome: 'applied', ...result },
+      actionTakenAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Suspended users are signed out; the others are told why
+    const kind = { [moderation.ACTIONS.WARN]: 'moderationWarning', [moderation.ACTIONS.MUTE]: 'moderationMute' }[action];
+    if (kind) {
+      const messageTemplates = await templates.loadTemplates(admin.firestore());
+      await dispatcher.sendToUsers([targetUserId], userData => ({
+        ...messageTemplates.render(kind, templates.localeOf(userData), {}),
+        data: { type: `moderation_${action}` },
+      }));
+    }
+    console.log(`Moderation action ${action} applied to ${targetUserId} by ${reviewedBy}`);
+  } catch (error) {
+    console.error(`Error applying moderation action ${action}:`, error);
+    await moderation.writeAuditLog(admin.firestore(), { ...audit, outcome: 'failed', error: error.message })
+      .catch(logError => console.error('Error writing audit log:', logError));
+  }
+}
+
 // Health check endpoint
 exports.healthCheck = functions.https.onRequest((req, res) => {
   res.json({
@@ -0,0 +1,224 @@
+// Moderation of user reports and flagged messages, used by the Firestore
+// triggers in index.js.
+//
+// reports/{reportId}         ProfileView: { reporterId, reportedUserId, reason, details }
+// flagged_messages/{flagId}  AdminGroupService.flagMessage: { messageId, chatId, reason, reportedBy }
+//
+// New entries are deduplicated: a second report of the same user by the same
+// reporter within `duplicateWindowHours`, or a second flag of the same message
+// by the same reporter, is marked `status: 'duplicate'` and not counted.
+// A user's score adds up, over the last `windowDays`, the weight of each
+// distinct reporter's most serious reason, from reports against them and flags
+// on their messages. It is kept on moderation_scores/{uid}; admins get a push
+// when it reaches `alertThreshold`.
+//
+// Admins act on a report or flag by setting `action` and `reviewedBy`:
+//   warn     the user gets a warning push, counted on users/{uid}.moderation
+//   mute     users/{uid}.moderation.mutedUntil, `muteHours` (or
+//            `defaultMuteHours`) from now; their new messages are removed
+//   suspend  the Auth account is disabled and its sessions revoked
+// The outcome is written back as `actionResult` and every action, applied or
+// refused, is recorded in admin_audit_logs.
+//
+// Settings on admin_settings/moderation override DEFAULT_SETTINGS.
+
+const SETTINGS_DOC = 'moderation';
+const SCORES_COLLECTION = 'moderation_scores';
+const AUDIT_COLLECTION = 'admin_audit_logs';
+
+const DEFAULT_SETTINGS = {
+  alertThreshold: 5,
+  windowDays: 30,
+  duplicateWindowHours: 24,
+  defaultMuteHours: 24,
+  // Matched against the lower-cased reason; anything else weighs 1
+  reasonWeights: {
+    spam: 1,
+    harassment: 2,
+    hate: 3,
+    violence: 3,
+    threat: 3,
+    sexual: 3,
+    'self-harm': 3,
+  },
+};
+
+const ACTIONS = {
+  WARN: 'warn',
+  MUTE: 'mute',
+  SUSPEND: 'suspend',
+};
+
+const STATUS = {
+  DUPLICATE: 'duplicate',
+  IGNORED: 'ignored',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function loadSettings(db) {
+  const doc = await db.collection('admin_settings').doc(SETTINGS_DOC).get();
+  const stored = doc.exists ? doc.data() : {};
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    reasonWeights: { ...DEFAULT_SETTINGS.reasonWeights, ...(stored.reasonWeights || {}) },
+  };
+}
+
+function reasonWeight(settings, reason) {
+  const text = String(reason || '').toLowerCase();
+  const weights = Object.entries(settings.reasonWeights)
+    .filter(([key]) => text.includes(key))
+    .map(([, weight]) => Number(weight) || 0);
+  return weights.length > 0 ? Math.max(...weights) : 1;
+}
+
+// Score of a list of { reporterId, reason }: each reporter counts once, with
+// the weight of their most serious reason
+function scoreOf(entries, settings) {
+  const byReporter = new Map();
+  for (const { reporterId, reason } of entries) {
+    if (!reporterId) continue;
+    byReporter.set(reporterId, Math.max(byReporter.get(reporterId) || 0, reasonWeight(settings, reason)));
+  }
+  return {
+    score: [...byReporter.values()].reduce((sum, weight) => sum + weight, 0),
+    reporterCount: byReporter.size,
+  };
+}
+
+function isCounted(doc, sinceMs) {
+  const status = doc.data().status;
+  return doc.createTime.toMillis() >= sinceMs && status !== STATUS.DUPLICATE && status !== STATUS.IGNORED;
+}
+
+// An earlier counted report of `reportedUserId` by `reporterId`, if any
+async function findDuplicateReport(db, snap, settings) {
+  const { reporterId, reportedUserId } = snap.data();
+  const sinceMs = snap.createTime.toMillis() - settings.duplicateWindowHours * HOUR_MS;
+  const earlier = await db.collection('reports')
+    .where('reporterId', '==', reporterId)
+    .where('reportedUserId', '==', reportedUserId)
+    .get();
+  return earlier.docs.find(doc => doc.id !== snap.id
+    && doc.createTime.toMillis() <= snap.createTime.toMillis()
+    && isCounted(doc, sinceMs)) || null;
+}
+
+// An earlier counted flag of the same message by the same reporter, if any
+async function findDuplicateFlag(db, snap) {
+  const { messageId, reportedBy } = snap.data();
+  const earlier = await db.collection('flagged_messages')
+    .where('messageId', '==', messageId)
+    .where('reportedBy', '==', reportedBy)
+    .get();
+  return earlier.docs.find(doc => doc.id !== snap.id
+    && doc.createTime.toMillis() <= snap.createTime.toMillis()
+    && isCounted(doc, 0)) || null;
+}
+
+// Recompute `uid`'s score from their reports and flagged messages. Returns
+// { score, reporterCount, alert } where `alert` is true only for the update
+// that took the score to the threshold.
+async function updateScore(db, uid, settings, now = new Date()) {
+  const sinceMs = now.getTime() - settings.windowDays * 24 * HOUR_MS;
+  const [reports, flags] = await Promise.all([
+    db.collection('reports').where('reportedUserId', '==', uid).get(),
+    db.collection('flagged_messages').where('senderId', '==', uid).get(),
+  ]);
+
+  const entries = [
+    ...reports.docs.filter(doc => isCounted(doc, sinceMs))
+      .map(doc => ({ reporterId: doc.data().reporterId, reason: doc.data().reason })),
+    ...flags.docs.filter(doc => isCounted(doc, sinceMs))
+      .map(doc => ({ reporterId: doc.data().reportedBy, reason: doc.data().reason })),
+  ];
+  const { score, reporterCount } = scoreOf(entries, settings);
+
+  const ref = db.collection(SCORES_COLLECTION).doc(uid);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const previous = doc.exists ? doc.data().score || 0 : 0;
+    const alert = score >= settings.alertThreshold && previous < settings.alertThreshold;
+
+    transaction.set(ref, {
+      score,
+      reporterCount,
+      updatedAt: now,
+      ...(alert ? { alertedAt: now } : {}),
+    }, { merge: true });
+    return { score, reporterCount, alert };
+  });
+}
+
+function isMuted(userData, now = new Date()) {
+  const mutedUntil = userData && userData.moderation && userData.moderation.mutedUntil;
+  if (!mutedUntil) return false;
+  const untilMs = typeof mutedUntil.toMillis === 'function' ? mutedUntil.toMillis() : new Date(mutedUntil).getTime();
+  return untilMs > now.getTime();
+}
+
+async function findAdminIds(db) {
+  const snapshot = await db.collection('users').where('role', '==', 'admin').get();
+  return snapshot.docs.map(doc => doc.id);
+}
+
+async function isAdmin(db, uid) {
+  if (!uid) return false;
+  const doc = await db.collection('users').doc(uid).get();
+  return doc.exists && doc.data().role === 'admin';
+}
+
+// Apply one moderation action to `uid`. `FieldValue` is firebase-admin's, so
+// this module works with any initialized app. Returns what was done.
+async function applyAction({ db, auth, FieldValue }, { action, uid, muteHours, settings, now = new Date() }) {
+  const userRef = db.collection('users').doc(uid);
+
+  switch (action) {
+    case ACTIONS.WARN:
+      await userRef.set({
+        moderation: { warningCount: FieldValue.increment(1), lastWarningAt: now },
+      }, { merge: true });
+      return { action };
+
+    case ACTIONS.MUTE: {
+      const hours = Number(muteHours) > 0 ? Number(muteHours) : settings.defaultMuteHours;
+      const mutedUntil = new Date(now.getTime() + hours * HOUR_MS);
+      await userRef.set({ moderation: { mutedUntil } }, { merge: true });
+      return { action, mutedUntil };
+    }
+
+    case ACTIONS.SUSPEND:
+      await auth.updateUser(uid, { disabled: true });
+      await auth.revokeRefreshTokens(uid);
+      await userRef.set({ disabled: true, moderation: { suspendedAt: now } }, { merge: true });
+      return { action };
+
+    default:
+      throw new Error(`Unknown moderation action: ${action}`);
+  }
+}
+
+function writeAuditLog(db, entry) {
+  return db.collection(AUDIT_COLLECTION).add({ ...entry, timestamp: new Date() });
+}
+
+module.exports = {
+  AUDIT_COLLECTION,
+  SCORES_COLLECTION,
+  DEFAULT_SETTINGS,
+  ACTIONS,
+  STATUS,
+  loadSettings,
+  reasonWeight,
+  scoreOf,
+  findDuplicateReport,
+  findDuplicateFlag,
+  updateScore,
+  isMuted,
+  findAdminIds,
+  isAdmin,
+  applyAction,
+  writeAuditLog,
+};
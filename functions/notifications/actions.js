@@ -0,0 +1,51 @@
+// Action tokens for acting on a message straight from its notification
+// (inline reply, mark as read) without opening the app.
+//
+// Every chat push to a recipient carries `actionToken` in its data: an HMAC
+// over the recipient's uid, the chat, the message and an expiry, signed with
+// NOTIFICATION_ACTION_SECRET. The handleNotificationAction callable only acts
+// when the token matches the caller and the notification it came with, so a
+// token copied out of one push cannot be used for another chat or user.
+// Without a secret no tokens are issued and notification actions are off.
+
+const crypto = require('crypto');
+
+const ACTIONS = {
+  REPLY: 'reply',
+  MARK_READ: 'markRead',
+};
+
+const TOKEN_TTL_MS = 6 * 60 * 60 * 1000;
+const MAX_REPLY_LENGTH = 4000;
+
+function signature(secret, { uid, chatId, messageId }, expiresAt) {
+  return crypto.createHmac('sha256', secret)
+    .update([uid, chatId, messageId || '', expiresAt].join('\n'))
+    .digest('base64url');
+}
+
+// `<expiry in base 36>.<signature>`, or null when actions are not configured
+function createToken(secret, target, { now = Date.now(), ttlMs = TOKEN_TTL_MS } = {}) {
+  if (!secret) return null;
+  const expiresAt = (now + ttlMs).toString(36);
+  return `${expiresAt}.${signature(secret, target, expiresAt)}`;
+}
+
+function verifyToken(secret, token, target, { now = Date.now() } = {}) {
+  if (!secret || typeof token !== 'string') return false;
+
+  const [expiresAt, given] = token.split('.');
+  if (!expiresAt || !given || parseInt(expiresAt, 36) < now) return false;
+
+  const expected = Buffer.from(signature(secret, target, expiresAt));
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  ACTIONS,
+  TOKEN_TTL_MS,
+  MAX_REPLY_LENGTH,
+  createToken,
+  verifyToken,
+};
@@ -0,0 +1,43 @@
+// Chat document helpers. Chats written by different parts of the app store
+// membership as `members`, `memberIds` or `userIds`, and the group flag as
+// `isGroup` or `isGroupChat`.
+
+const MEMBERSHIP_FIELDS = ['members', 'memberIds', 'userIds'];
+
+// senderId of the notices admins post into groups (member added/removed)
+const SYSTEM_SENDER_ID = 'system';
+
+function getMemberIds(chatData) {
+  const ids = new Set();
+  for (const field of MEMBERSHIP_FIELDS) {
+    if (Array.isArray(chatData && chatData[field])) {
+      chatData[field].forEach(id => ids.add(id));
+    }
+  }
+  return [...ids];
+}
+
+function isGroupChat(chatData) {
+  return Boolean(chatData && (chatData.isGroupChat || chatData.isGroup));
+}
+
+// Ids of every user who shares at least one chat with `uid`
+async function findChatPartnerIds(db, uid) {
+  const snapshots = await Promise.all(MEMBERSHIP_FIELDS.map(field =>
+    db.collection('chats').where(field, 'array-contains', uid).get()));
+
+  const partners = new Set();
+  for (const snapshot of snapshots) {
+    snapshot.forEach(doc => getMemberIds(doc.data()).forEach(id => partners.add(id)));
+  }
+  partners.delete(uid);
+  return partners;
+}
+
+module.exports = {
+  MEMBERSHIP_FIELDS,
+  SYSTEM_SENDER_ID,
+  getMemberIds,
+  isGroupChat,
+  findChatPartnerIds,
+};
@@ -0,0 +1,130 @@
+// Per chat, per recipient coalescing of chat message pushes.
+//
+// The first message in a window is pushed as usual. Later messages in the same
+// window are folded into a "N new messages" summary that is pushed at most once
+// per digest interval; messages arriving in between are held and picked up by
+// the next summary or by the scheduled flush. All pushes for a chat share one
+// collapse key, so devices replace the previous notification instead of stacking.
+//
+// State lives in notification_digests/{chatId}_{uid}; the window and interval
+// are configured in admin_settings/notification_coalescing.
+
+const { toMillis } = require('./preferences');
+
+const DIGESTS_COLLECTION = 'notification_digests';
+const SETTINGS_DOC = 'notification_coalescing';
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  windowSeconds: 120,
+  digestIntervalSeconds: 15,
+};
+
+const DECISION = {
+  SINGLE: 'single',
+  SUMMARY: 'summary',
+  HOLD: 'hold',
+};
+
+async function loadConfig(db) {
+  const doc = await db.collection('admin_settings').doc(SETTINGS_DOC).get();
+  return { ...DEFAULT_CONFIG, ...(doc.exists ? doc.data() : {}) };
+}
+
+// FCM caps apns-collapse-id at 64 bytes
+function collapseKeyForChat(chatId) {
+  return `chat_${chatId}`.substring(0, 64);
+}
+
+function digestRef(db, chatId, uid) {
+  return db.collection(DIGESTS_COLLECTION).doc(`${chatId}_${uid}`);
+}
+
+// Record one new message for one recipient and decide how to notify them
+async function recordMessage(db, { chatId, uid, context, config, now = new Date() }) {
+  const ref = digestRef(db, chatId, uid);
+  const windowMs = config.windowSeconds * 1000;
+  const intervalMs = config.digestIntervalSeconds * 1000;
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const state = doc.exists ? doc.data() : null;
+    const windowStart = state ? toMillis(state.windowStart) : null;
+
+    if (!state || windowStart === null || now.getTime() - windowStart >= windowMs) {
+      transaction.set(ref, {
+        chatId,
+        userId: uid,
+        ...context,
+        windowStart: now,
+        lastSentAt: now,
+        count: 1,
+        pending: false,
+      });
+      return { decision: DECISION.SINGLE, count: 1 };
+    }
+
+    const count = (state.count || 0) + 1;
+    const lastSentAt = toMillis(state.lastSentAt) || 0;
+
+    if (now.getTime() - lastSentAt >= intervalMs) {
+      transaction.update(ref, { ...context, count, lastSentAt: now, pending: false });
+      return { decision: DECISION.SUMMARY, count };
+    }
+
+    transaction.update(ref, { ...context, count, pending: true });
+    return { decision: DECISION.HOLD, count };
+  });
+}
+
+// Split recipients of one message into single pushes, summaries and held
+async function planDeliveries(db, { chatId, userIds, context, config, now = new Date() }) {
+  const plan = { single: [], summary: [], held: [] };
+
+  if (!config.enabled) {
+    plan.single = [...userIds];
+    return plan;
+  }
+
+  const decisions = await Promise.all(userIds.map(uid =>
+    recordMessage(db, { chatId, uid, context, config, now })
+      .then(({ decision }) => ({ uid, decision }))));
+
+  for (const { uid, decision } of decisions) {
+    if (decision === DECISION.SINGLE) plan.single.push(uid);
+    if (decision === DECISION.SUMMARY) plan.summary.push(uid);
+    if (decision === DECISION.HOLD) plan.held.push(uid);
+  }
+  return plan;
+}
+
+// Claim held digests whose interval has elapsed so a summary can be sent.
+// Returns the claimed digest states.
+async function claimPendingDigests(db, config, now = new Date()) {
+  const intervalMs = config.digestIntervalSeconds * 1000;
+  const snapshot = await db.collection(DIGESTS_COLLECTION).where('pending', '==', true).get();
+
+  const claimed = await Promise.all(snapshot.docs.map(doc =>
+    db.runTransaction(async (transaction) => {
+      const fresh = await transaction.get(doc.ref);
+      const state = fresh.data();
+      if (!fresh.exists || !state.pending) return null;
+      if (now.getTime() - (toMillis(state.lastSentAt) || 0) < intervalMs) return null;
+
+      transaction.update(doc.ref, { pending: false, lastSentAt: now });
+      return state;
+    })));
+
+  return claimed.filter(Boolean);
+}
+
+module.exports = {
+  DIGESTS_COLLECTION,
+  DEFAULT_CONFIG,
+  DECISION,
+  loadConfig,
+  collapseKeyForChat,
+  recordMessage,
+  planDeliveries,
+  claimPendingDigests,
+};
@@ -0,0 +1,189 @@
+const { buildMessage } = require('./payload');
+const { DELIVERY, resolveDelivery } = require('./preferences');
+const relationships = require('./relationships');
+const tokenRegistry = require('./tokens');
+const { totalUnread } = require('./unread');
+
+// FCM accepts at most 500 tokens per multicast request
+const MAX_BATCH_SIZE = 500;
+
+// Error codes worth retrying: FCM or the network is temporarily unavailable,
+// or a rate limit / quota was hit
+const TRANSIENT_ERRORS = [
+  'messaging/unavailable',
+  'messaging/server-unavailable',
+  'messaging/internal-error',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'messaging/topics-message-rate-exceeded',
+  'messaging/quota-exceeded',
+  'app/network-error',
+  'app/network-timeout',
+];
+
+function isTransientError(error) {
+  return Boolean(error && TRANSIENT_ERRORS.includes(error.code));
+}
+
+function summarizeResponses(responses) {
+  return responses.map(response => ({
+    success: response.success,
+    messageId: response.messageId || null,
+    error: response.error ? response.error.code || response.error.message : null,
+  }));
+}
+
+function aggregate(batches, deviceCount, extra = {}) {
+  return {
+    successCount: batches.reduce((sum, batch) => sum + batch.successCount, 0),
+    failureCount: batches.reduce((sum, batch) => sum + batch.failureCount, 0),
+    prunedTokens: batches.reduce((sum, batch) => sum + batch.prunedTokens, 0),
+    deviceCount,
+    retryTokens: [],
+    silencedUsers: [],
+    skippedUsers: [],
+    ...extra,
+    batches,
+  };
+}
+
+// Create the notification dispatcher used by every send path.
+// `db` and `messaging` are the Firestore and Messaging instances of the
+// caller's firebase-admin app, so the module works with any initialized app.
+function createDispatcher({ db, messaging, logger = console, batchSize = MAX_BATCH_SIZE }) {
+  // Send to a list of token entries ({ token, uid, ref }), pruning dead tokens
+  // when `prune` is set. `notificationFor(entry)` returns the notification for
+  // one entry; entries of the same user always get the same notification.
+  async function sendToEntries(entries, notificationFor, { prune }) {
+    const messagesByUser = new Map();
+    const messageFor = (entry) => {
+      if (!messagesByUser.has(entry.uid)) {
+        messagesByUser.set(entry.uid, buildMessage(notificationFor(entry)));
+      }
+      return messagesByUser.get(entry.uid);
+    };
+
+    const batches = [];
+    // Tokens that failed transiently and are worth another attempt
+    const retryTokens = [];
+
+    for (let i = 0; i < entries.length; i += batchSize) {
+      const batch = entries.slice(i, i + batchSize);
+
+      const response = await messaging.sendEach(batch.map(entry => ({
+        token: entry.token,
+        ...messageFor(entry),
+      })));
+      const prunedTokens = prune
+        ? await tokenRegistry.pruneInvalidTokens(db, batch, response.responses)
+        : 0;
+
+      batches.push({
+        batchIndex: i / batchSize,
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+        prunedTokens,
+        responses: summarizeResponses(response.responses),
+      });
+
+      batch.forEach((entry, index) => {
+        if (isTransientError(response.responses[index].error)) retryTokens.push(entry.token);
+      });
+    }
+
+    return aggregate(batches, entries.length, { retryTokens });
+  }
+
+  return {
+    // Send to a single raw token
+    async sendToToken(token, notification) {
+      const messageId = await messaging.send({ token, ...buildMessage(notification) });
+      return { messageId };
+    },
+
+    // Send to raw tokens whose owners are unknown (no pruning)
+    async sendToTokens(tokens, notification) {
+      const entries = [...new Set(tokens)].map(token => ({ token, uid: null, ref: null }));
+      return sendToEntries(entries, () => notification, { prune: false });
+    },
+
+    // Send to every registered device of the given users, with each user's
+    // total unread count as the badge.
+    // With `respectPreferences`, each recipient's mutes, DND and quiet hours
+    // (see ./preferences) decide whether they get the push, a silent
+    // data-only push, or nothing. `chatId` scopes chat mutes and `urgent`
+    // overrides all preferences. `onlyTokens` limits the send to those of the
+    // users' devices, e.g. to retry the ones that failed.
+    // `notification` may also be a function of (userData, uid) returning the
+    // notification for that user, e.g. to render it in their language.
+    // With `senderId`, users who have blocked the sender are skipped (see
+    // ./relationships), whatever their preferences.
+    async sendToUsers(userIds, notification, { respectPreferences = false, chatId = null, urgent = false, onlyTokens = null, senderId = null } = {}) {
+      const recipients = await tokenRegistry.loadRecipients(db, userIds);
+      const users = recipients.users;
+      const entries = onlyTokens
+        ? recipients.entries.filter(entry => onlyTokens.includes(entry.token))
+        : recipients.entries;
+
+      const silencedUsers = [];
+      const skippedUsers = [];
+      const deliveries = new Map();
+      if (senderId) {
+        const { skipped } = await relationships.filterRecipients(db, senderId, userIds, users);
+        for (const skip of skipped) {
+          deliveries.set(skip.userId, DELIVERY.SKIP);
+          skippedUsers.push(skip);
+        }
+      }
+      if (respectPreferences) {
+        const now = new Date();
+        for (const [uid, userData] of users) {
+          if (deliveries.has(uid)) continue;
+          const { delivery, reason } = resolveDelivery(userData, { chatId, urgent, now });
+          deliveries.set(uid, delivery);
+          if (delivery === DELIVERY.SILENT) silencedUsers.push({ userId: uid, reason });
+          if (delivery === DELIVERY.SKIP) skippedUsers.push({ userId: uid, reason });
+        }
+      }
+
+      const deliveryOf = entry => deliveries.get(entry.uid) || DELIVERY.NORMAL;
+      const targets = entries.filter(entry => deliveryOf(entry) !== DELIVERY.SKIP);
+
+      if (targets.length === 0) {
+        logger.log(`No FCM tokens to notify for ${userIds.length} user(s)`);
+        return aggregate([], 0, { silencedUsers, skippedUsers });
+      }
+
+      const notificationOf = typeof notification === 'function'
+        ? entry => notification(users.get(entry.uid) || {}, entry.uid)
+        : () => notification;
+
+      const { batches, retryTokens } = await sendToEntries(targets, (entry) => {
+        const userNotification = notificationOf(entry);
+        return {
+          ...userNotification,
+          badge: users.has(entry.uid) ? totalUnread(users.get(entry.uid)) : undefined,
+          silent: userNotification.silent || deliveryOf(entry) === DELIVERY.SILENT,
+        };
+      }, { prune: true });
+
+      const result = aggregate(batches, targets.length, { silencedUsers, skippedUsers, retryTokens });
+      logger.log(`Sent notifications: ${result.successCount} success, ${result.failureCount} failure, ` +
+        `${result.prunedTokens} pruned, ${silencedUsers.length} silenced, ${skippedUsers.length} skipped`);
+      return result;
+    },
+
+    // Send to a topic
+    async sendToTopic(topic, notification) {
+      const messageId = await messaging.send({ topic, ...buildMessage(notification) });
+      return { messageId };
+    },
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  TRANSIENT_ERRORS,
+  createDispatcher,
+  isTransientError,
+};
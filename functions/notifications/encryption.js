@@ -0,0 +1,79 @@
+// Push payloads for end-to-end encrypted chats.
+//
+// A chat is encrypted when chats/{chatId}.encrypted is true (or a single
+// message is marked `encrypted: true`). Its messages carry an envelope instead
+// of `text`:
+//   { ciphertext, iv, algorithm, senderKeyId }
+// The server never reads or forwards plaintext for these messages: recipients
+// get a data-only push with the envelope and decrypt it locally. When the
+// envelope does not fit into FCM's 4KB payload, the push carries
+// `fetchHint: 'message'` instead and the client reads the envelope from
+// chats/{chatId}/messages/{messageId}.
+//
+// Limitation: no client decrypts these pushes yet, since the app has no chat
+// keys to decrypt with. The mobile app (FCMNotificationService) and the web
+// push worker (web/firebase-messaging-sw.js) show a generic "Encrypted
+// message" notification; the content is only readable in the chat itself.
+
+const ENVELOPE_FIELDS = ['ciphertext', 'iv', 'algorithm', 'senderKeyId'];
+
+// FCM rejects messages over 4096 bytes; leave room for the fields the
+// dispatcher adds (badgeCount, dataOnly) and the key names
+const MAX_DATA_BYTES = 3584;
+
+function isEncrypted(chatData, messageData) {
+  return Boolean((chatData && chatData.encrypted === true) || (messageData && messageData.encrypted === true));
+}
+
+// The fields of an encrypted message the server may look at
+function withoutPlaintext(messageData) {
+  return {
+    senderId: messageData.senderId,
+    type: messageData.type,
+    mentions: messageData.mentions,
+    replyTo: messageData.replyTo,
+  };
+}
+
+function envelopeOf(messageData) {
+  const envelope = {};
+  for (const field of ENVELOPE_FIELDS) {
+    if (messageData[field] !== undefined && messageData[field] !== null) {
+      envelope[field] = messageData[field];
+    }
+  }
+  // Older clients name the key id `keyId`
+  if (!envelope.senderKeyId && messageData.keyId) envelope.senderKeyId = messageData.keyId;
+  return envelope;
+}
+
+function dataBytes(data) {
+  return Object.entries(data).reduce((sum, [key, value]) =>
+    sum + Buffer.byteLength(key) + Buffer.byteLength(String(value)), 0);
+}
+
+// Data payload for one encrypted message: `base` identifies the message
+// (type, chatId, messageId, senderId), the envelope is attached when it fits
+function pushData(base, messageData) {
+  const envelope = envelopeOf(messageData);
+  const data = {
+    ...base,
+    encrypted: 'true',
+    senderKeyId: envelope.senderKeyId || null,
+  };
+
+  const withEnvelope = { ...data, envelope: JSON.stringify(envelope) };
+  if (envelope.ciphertext && dataBytes(withEnvelope) <= MAX_DATA_BYTES) {
+    return withEnvelope;
+  }
+  return { ...data, fetchHint: 'message' };
+}
+
+module.exports = {
+  ENVELOPE_FIELDS,
+  MAX_DATA_BYTES,
+  isEncrypted,
+  withoutPlaintext,
+  envelopeOf,
+  pushData,
+};
@@ -0,0 +1,35 @@
+// Notification dispatch shared by functions/index.js and servers/fcm_server_production.js.
+// This directory must not require firebase-admin itself: each caller passes in
+// the Firestore and Messaging instances of its own initialized app.
+
+const actions = require('./actions');
+const chats = require('./chats');
+const coalescing = require('./coalescing');
+const { createDispatcher, MAX_BATCH_SIZE } = require('./dispatch');
+const encryption = require('./encryption');
+const mentions = require('./mentions');
+const outbox = require('./outbox');
+const { buildMessage, stringifyData } = require('./payload');
+const preferences = require('./preferences');
+const relationships = require('./relationships');
+const templates = require('./templates');
+const tokens = require('./tokens');
+const unread = require('./unread');
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  createDispatcher,
+  buildMessage,
+  stringifyData,
+  actions,
+  chats,
+  coalescing,
+  encryption,
+  mentions,
+  outbox,
+  preferences,
+  relationships,
+  templates,
+  tokens,
+  unread,
+};
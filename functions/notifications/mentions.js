@@ -0,0 +1,71 @@
+// @mention and reply detection for group chat messages
+
+// Mentions that address every member of the chat
+const BROADCAST_MENTIONS = ['all', 'everyone'];
+
+// Usernames may contain letters (any script), digits, dots, dashes and underscores
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_.-]+)/gu;
+
+// Extract mentioned usernames from message text.
+// Returns { all, usernames } with usernames lower-cased and de-duplicated.
+function parseMentions(text) {
+  const usernames = new Set();
+  let all = false;
+
+  if (typeof text !== 'string') return { all, usernames: [] };
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const username = match[2].replace(/[.-]+$/, '').toLowerCase();
+    if (!username) continue;
+    if (BROADCAST_MENTIONS.includes(username)) {
+      all = true;
+    } else {
+      usernames.add(username);
+    }
+  }
+
+  return { all, usernames: [...usernames] };
+}
+
+// Resolve the member ids mentioned by a message.
+// `members` maps uid to user data; explicit `mentions` uid arrays written by
+// the client are honoured alongside parsed @usernames.
+function resolveMentionedIds(messageData, members) {
+  const { all, usernames } = parseMentions(messageData.text);
+  if (all) return { all, userIds: [...members.keys()] };
+
+  const mentioned = new Set();
+  for (const [uid, userData] of members) {
+    const username = (userData.username || '').toLowerCase();
+    if (username && usernames.includes(username)) mentioned.add(uid);
+  }
+
+  if (Array.isArray(messageData.mentions)) {
+    for (const uid of messageData.mentions) {
+      if (members.has(uid)) mentioned.add(uid);
+    }
+  }
+
+  return { all, userIds: [...mentioned] };
+}
+
+// Find the author of the message being replied to. `replyTo` may be a message
+// id or an object carrying `senderId` and/or `messageId`.
+async function getReplyTargetId(db, chatId, replyTo) {
+  if (!replyTo) return null;
+  if (typeof replyTo === 'object' && replyTo.senderId) return replyTo.senderId;
+
+  const messageId = typeof replyTo === 'string' ? replyTo : replyTo.messageId || replyTo.id;
+  if (!messageId) return null;
+
+  const original = await db.collection('chats').doc(chatId)
+    .collection('messages').doc(messageId).get();
+  return original.exists ? original.data().senderId || null : null;
+}
+
+module.exports = {
+  BROADCAST_MENTIONS,
+  parseMentions,
+  resolveMentionedIds,
+  getReplyTargetId,
+};
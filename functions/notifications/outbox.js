@@ -0,0 +1,308 @@
+// Durable outbox for notification sends.
+//
+// Every send is stored in notification_outbox/{id} before it is attempted.
+// Transient failures (see TRANSIENT_ERRORS in ./dispatch) are retried with
+// exponential backoff, and for multi-device sends only the devices that failed
+// transiently are retried. After maxAttempts, or on a permanent error, the entry
+// moves to notification_dead_letters/{id}, from where it can be replayed.
+//
+// Attempts are counted when an entry is claimed, so an entry whose worker died
+// mid-send is picked up again once its lease expires and still dead-letters
+// after maxAttempts.
+
+const { isTransientError } = require('./dispatch');
+const { toMillis } = require('./preferences');
+
+const OUTBOX_COLLECTION = 'notification_outbox';
+const DEAD_LETTER_COLLECTION = 'notification_dead_letters';
+
+const KINDS = {
+  TOKEN: 'token',
+  TOKENS: 'tokens',
+  USERS: 'users',
+  TOPIC: 'topic',
+};
+
+const STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SENT: 'sent',
+  DEAD: 'dead',
+};
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  leaseMs: 2 * 60 * 1000,
+};
+
+// Firestore rejects undefined values anywhere in a document
+function toStorable(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Timestamps as ISO strings, for API responses
+function serializeEntry(doc) {
+  const data = doc.data();
+  const entry = { id: doc.id };
+  for (const [key, value] of Object.entries(data)) {
+    entry[key] = value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value;
+  }
+  return entry;
+}
+
+function summarizeResult(result) {
+  if (!result) return null;
+  if (result.messageId) return { messageId: result.messageId };
+  return {
+    deviceCount: result.deviceCount,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    prunedTokens: result.prunedTokens,
+  };
+}
+
+function createOutbox({ db, dispatcher, logger = console, ...options }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const outbox = db.collection(OUTBOX_COLLECTION);
+  const deadLetters = db.collection(DEAD_LETTER_COLLECTION);
+
+  function backoffMs(attempts) {
+    const delay = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempts - 1));
+    // Up to 20% jitter so entries that failed together do not retry together
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+  }
+
+  function attempt(entry) {
+    const { kind, target, notification, options: sendOptions } = entry;
+    switch (kind) {
+      case KINDS.TOKEN:
+        return dispatcher.sendToToken(target, notification);
+      case KINDS.TOKENS:
+        return dispatcher.sendToTokens(target, notification);
+      case KINDS.USERS:
+        return dispatcher.sendToUsers(target, notification, sendOptions || {});
+      case KINDS.TOPIC:
+        return dispatcher.sendToTopic(target, notification);
+      default:
+        throw new Error(`Unknown outbox entry kind: ${kind}`);
+    }
+  }
+
+  // Narrow a multi-device entry down to the devices that still need a retry
+  function retryTarget(entry, retryTokens) {
+    if (entry.kind === KINDS.TOKENS) return { target: retryTokens };
+    if (entry.kind === KINDS.USERS) return { options: { ...entry.options, onlyTokens: retryTokens } };
+    return {};
+  }
+
+  // Lease a due (or abandoned) entry to this worker
+  async function claim(ref, now) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+
+      const entry = doc.data();
+      const due = entry.status === STATUS.PENDING && toMillis(entry.nextAttemptAt) <= now.getTime();
+      const abandoned = entry.status === STATUS.PROCESSING && toMillis(entry.leaseUntil) <= now.getTime();
+      if (!due && !abandoned) return null;
+
+      const attempts = (entry.attempts || 0) + 1;
+      transaction.update(ref, {
+        status: STATUS.PROCESSING,
+        attempts,
+        leaseUntil: new Date(now.getTime() + config.leaseMs),
+        updatedAt: now,
+      });
+      return { entry, attempts };
+    });
+  }
+
+  async function moveToDeadLetters(ref, entry) {
+    const batch = db.batch();
+    batch.set(deadLetters.doc(ref.id), { ...entry, status: STATUS.DEAD, deadAt: new Date() });
+    batch.delete(ref);
+    await batch.commit();
+  }
+
+  // Attempt one entry if it is due. Returns the outcome, or null when the
+  // entry is not due or another worker holds it.
+  async function processEntry(ref) {
+    const claimed = await claim(ref, new Date());
+    if (!claimed) return null;
+    const { entry, attempts } = claimed;
+
+    let result = null;
+    let error = null;
+    try {
+      result = await attempt(entry);
+    } catch (e) {
+      error = e;
+    }
+
+    const retryTokens = (result && result.retryTokens) || [];
+    const now = new Date();
+
+    if (!error && retryTokens.length === 0) {
+      await ref.update({
+        status: STATUS.SENT,
+        sentAt: now,
+        updatedAt: now,
+        leaseUntil: null,
+        lastError: null,
+        lastResult: summarizeResult(result),
+      });
+      return { id: ref.id, status: STATUS.SENT, attempts, result };
+    }
+
+    const reason = error
+      ? error.code || error.message
+      : `${retryTokens.length} device(s) failed with a transient error`;
+    const narrowed = error ? {} : retryTarget(entry, retryTokens);
+    const maxAttempts = entry.maxAttempts || config.maxAttempts;
+
+    if ((error && !isTransientError(error)) || attempts >= maxAttempts) {
+      logger.error(`Notification ${ref.id} dead-lettered after ${attempts} attempt(s): ${reason}`);
+      await moveToDeadLetters(ref, {
+        ...entry,
+        ...narrowed,
+        attempts,
+        lastError: reason,
+        lastResult: summarizeResult(result),
+        leaseUntil: null,
+        updatedAt: now,
+      });
+      return { id: ref.id, status: STATUS.DEAD, attempts, result, error: reason };
+    }
+
+    const nextAttemptAt = new Date(now.getTime() + backoffMs(attempts));
+    logger.warn(`Notification ${ref.id} attempt ${attempts} failed (${reason}), retrying at ${nextAttemptAt.toISOString()}`);
+    await ref.update({
+      ...narrowed,
+      status: STATUS.PENDING,
+      nextAttemptAt,
+      leaseUntil: null,
+      lastError: reason,
+      lastResult: summarizeResult(result),
+      updatedAt: now,
+    });
+    return { id: ref.id, status: STATUS.PENDING, attempts, result, error: reason, nextAttemptAt };
+  }
+
+  return {
+    // Store a send and make the first attempt right away
+    async enqueue({ kind, target, notification, options = {}, requestedBy = null, maxAttempts }) {
+      if (!Object.values(KINDS).includes(kind)) {
+        throw new Error(`Unknown outbox entry kind: ${kind}`);
+      }
+
+      const now = new Date();
+      const ref = outbox.doc();
+      await ref.set({
+        kind,
+        target: toStorable(target),
+        notification: toStorable(notification),
+        options: toStorable(options),
+        requestedBy,
+        status: STATUS.PENDING,
+        attempts: 0,
+        maxAttempts: maxAttempts || config.maxAttempts,
+        nextAttemptAt: now,
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      return processEntry(ref);
+    },
+
+    // Retry every due entry, plus entries whose worker stopped mid-send
+    async processDue({ limit = 100 } = {}) {
+      const now = new Date();
+      const [due, abandoned] = await Promise.all([
+        outbox.where('status', '==', STATUS.PENDING)
+          .where('nextAttemptAt', '<=', now)
+          .orderBy('nextAttemptAt')
+          .limit(limit)
+          .get(),
+        outbox.where('status', '==', STATUS.PROCESSING)
+          .where('leaseUntil', '<=', now)
+          .limit(limit)
+          .get(),
+      ]);
+
+      const summary = { sent: 0, retrying: 0, dead: 0, skipped: 0 };
+      for (const doc of [...due.docs, ...abandoned.docs]) {
+        try {
+          const outcome = await processEntry(doc.ref);
+          if (!outcome) summary.skipped++;
+          else if (outcome.status === STATUS.SENT) summary.sent++;
+          else if (outcome.status === STATUS.DEAD) summary.dead++;
+          else summary.retrying++;
+        } catch (error) {
+          summary.skipped++;
+          logger.error(`Failed to process notification ${doc.id}:`, error);
+        }
+      }
+      return summary;
+    },
+
+    async list({ status, limit = 50 } = {}) {
+      let query = outbox;
+      if (status) query = query.where('status', '==', status);
+      const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+      return snapshot.docs.map(serializeEntry);
+    },
+
+    async listDeadLetters({ limit = 50 } = {}) {
+      const snapshot = await deadLetters.orderBy('deadAt', 'desc').limit(limit).get();
+      return snapshot.docs.map(serializeEntry);
+    },
+
+    // Look an entry up in the outbox, then in the dead letters
+    async get(id) {
+      const doc = await outbox.doc(id).get();
+      if (doc.exists) return serializeEntry(doc);
+      const deadDoc = await deadLetters.doc(id).get();
+      return deadDoc.exists ? serializeEntry(deadDoc) : null;
+    },
+
+    // Move a dead letter back into the outbox with a fresh attempt budget and
+    // attempt it right away. Returns null if there is no such dead letter.
+    async replay(id, { replayedBy = null } = {}) {
+      const ref = outbox.doc(id);
+      const deadRef = deadLetters.doc(id);
+
+      const moved = await db.runTransaction(async (transaction) => {
+        const deadDoc = await transaction.get(deadRef);
+        if (!deadDoc.exists) return false;
+
+        const { deadAt, ...entry } = deadDoc.data();
+        const now = new Date();
+        transaction.set(ref, {
+          ...entry,
+          status: STATUS.PENDING,
+          attempts: 0,
+          nextAttemptAt: now,
+          leaseUntil: null,
+          replayCount: (entry.replayCount || 0) + 1,
+          replayedAt: now,
+          replayedBy,
+          updatedAt: now,
+        });
+        transaction.delete(deadRef);
+        return true;
+      });
+
+      return moved ? processEntry(ref) : null;
+    },
+  };
+}
+
+module.exports = {
+  OUTBOX_COLLECTION,
+  DEAD_LETTER_COLLECTION,
+  KINDS,
+  STATUS,
+  createOutbox,
+};
@@ -0,0 +1,166 @@
+// FCM message construction shared by the Cloud Functions and the Express server
+
+// FCM only accepts string values in the data payload
+function stringifyData(data) {
+  const result = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (value === undefined || value === null) continue;
+    result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  return result;
+}
+
+// Data-only variant used when a recipient's preferences downgrade a push or
+// only the badge needs syncing: nothing is displayed, but clients still
+// receive the data to sync state.
+function buildSilentMessage(data, badge) {
+  const aps = { 'content-available': 1 };
+  if (typeof badge === 'number') aps.badge = badge;
+
+  return {
+    data: stringifyData({ ...data, badgeCount: badge, silent: 'true' }),
+    android: {
+      priority: 'normal',
+    },
+    apns: {
+      payload: {
+        aps: aps,
+      },
+      headers: {
+        'apns-priority': '5',
+        'apns-push-type': 'background',
+      },
+    },
+    webpush: {
+      headers: {
+        'Urgency': 'low',
+      },
+    },
+  };
+}
+
+// Data-only variant for recipients whose preview mode is 'dataOnly': nothing
+// about the message goes through FCM's notification fields, and clients fetch
+// the message from `chatId`/`messageId` and display it themselves. Unlike
+// silent pushes these are delivered with high priority so the client can
+// show the notification right away.
+function buildDataOnlyMessage(data, badge, collapseKey) {
+  const aps = { 'content-available': 1 };
+  if (typeof badge === 'number') aps.badge = badge;
+
+  const message = {
+    data: stringifyData({ ...data, badgeCount: badge, dataOnly: 'true' }),
+    android: {
+      priority: 'high',
+    },
+    apns: {
+      payload: {
+        aps: aps,
+      },
+      headers: {
+        // Apple only accepts priority 5 for pushes without an alert
+        'apns-priority': '5',
+        'apns-push-type': 'background',
+      },
+    },
+    webpush: {
+      headers: {
+        'Urgency': 'high',
+      },
+    },
+  };
+
+  if (collapseKey) {
+    message.android.collapseKey = collapseKey;
+    message.apns.headers['apns-collapse-id'] = collapseKey;
+  }
+  return message;
+}
+
+// Build the platform-specific parts of a message. Targeting (token, tokens,
+// topic) is added by the dispatcher. `badge` is the recipient's total unread
+// count; it is left out when the recipient is unknown (raw tokens, topics).
+function buildMessage({
+  title,
+  body,
+  data,
+  priority = 'high',
+  channelId = 'chat_notifications',
+  category = 'chat_category',
+  color,
+  icon = '@mipmap/ic_launcher',
+  collapseKey,
+  badge,
+  silent = false,
+  dataOnly = false,
+}) {
+  if (silent) return buildSilentMessage(data, badge);
+  if (dataOnly) return buildDataOnlyMessage(data, badge, collapseKey);
+
+  const isHigh = priority === 'high';
+
+  const androidNotification = {
+    channelId: channelId,
+    priority: isHigh ? 'high' : 'default',
+    defaultSound: true,
+    icon: icon,
+  };
+  if (color) androidNotification.color = color;
+
+  const message = {
+    notification: {
+      title: title,
+      body: body,
+    },
+    data: stringifyData({ ...data, badgeCount: badge }),
+    android: {
+      priority: isHigh ? 'high' : 'normal',
+      notification: androidNotification,
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+          category: category,
+        },
+      },
+      headers: {
+        'apns-priority': isHigh ? '10' : '5',
+      },
+    },
+    webpush: {
+      headers: {
+        'Urgency': isHigh ? 'high' : 'normal',
+      },
+      notification: {
+        icon: '/icons/Icon-192.png',
+        badge: '/favicon.png',
+      },
+    },
+  };
+
+  if (data && data.imageUrl) {
+    message.webpush.notification.image = data.imageUrl;
+  }
+
+  if (typeof badge === 'number') {
+    message.apns.payload.aps.badge = badge;
+    message.android.notification.notificationCount = badge;
+  }
+
+  // Pushes sharing a collapse key replace each other on the device
+  if (collapseKey) {
+    message.android.collapseKey = collapseKey;
+    message.android.notification.tag = collapseKey;
+    message.apns.headers['apns-collapse-id'] = collapseKey;
+    message.webpush.notification.tag = collapseKey;
+    message.webpush.notification.renotify = true;
+  }
+
+  return message;
+}
+
+module.exports = {
+  stringifyData,
+  buildMessage,
+};
@@ -0,0 +1,167 @@
+// Recipient notification preferences stored on users/{uid}.notificationSettings:
+//
+//   notificationSettings: {
+//     doNotDisturb: true,                       // global DND switch
+//     doNotDisturbMode: 'silent' | 'skip',      // default 'silent'
+//     quietHours: {
+//       start: '22:00', end: '07:00',           // local time, may wrap midnight
+//       timezone: 'Asia/Riyadh',                // IANA zone, default UTC
+//       mode: 'silent' | 'skip',                // default 'silent'
+//     },
+//     mutedChats: {
+//       [chatId]: true | <Timestamp|Date|ISO string>,  // true = forever, otherwise until
+//     },
+//     mentionsOnlyChats: {
+//       [chatId]: true,                         // only @mentions and replies notify
+//     },
+//     previewMode: 'full' | 'sender' | 'hidden' | 'dataOnly',  // default 'full'
+//     chatPreviewModes: {
+//       [chatId]: 'full' | 'sender' | 'hidden' | 'dataOnly',   // overrides previewMode
+//     },
+//   }
+//
+// `silent` pushes are delivered data-only so clients can still sync state.
+//
+// Preview modes decide how much of a chat message a push shows:
+//   full      sender and content
+//   sender    who wrote, but not what
+//   hidden    a generic "new message"
+//   dataOnly  nothing visible is sent: the push carries only chatId/messageId
+//             and the client fetches and renders the message itself
+// A chat can require a minimum with chats/{chatId}.previewMode; the more
+// private of the chat's and the recipient's modes applies.
+
+const DELIVERY = {
+  NORMAL: 'normal',
+  SILENT: 'silent',
+  SKIP: 'skip',
+};
+
+const PREVIEW_MODES = {
+  FULL: 'full',
+  SENDER: 'sender',
+  HIDDEN: 'hidden',
+  DATA_ONLY: 'dataOnly',
+};
+
+// Least to most private
+const PREVIEW_ORDER = [PREVIEW_MODES.FULL, PREVIEW_MODES.SENDER, PREVIEW_MODES.HIDDEN, PREVIEW_MODES.DATA_ONLY];
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function isChatMuted(settings, chatId, now) {
+  if (!chatId || !settings.mutedChats) return false;
+  const mute = settings.mutedChats[chatId];
+  if (mute === true) return true;
+  const until = toMillis(mute);
+  return until !== null && until > now.getTime();
+}
+
+function isMentionsOnly(userData, chatId) {
+  const settings = (userData && userData.notificationSettings) || {};
+  return Boolean(chatId && settings.mentionsOnlyChats && settings.mentionsOnlyChats[chatId] === true);
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// Minutes since local midnight in the given IANA time zone
+function localMinutes(now, timezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || 'UTC',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+  } catch (error) {
+    // Unknown time zone: fall back to UTC rather than dropping the push
+    return now.getUTCHours() * 60 + now.getUTCMinutes();
+  }
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+function isInQuietHours(quietHours, now) {
+  if (!quietHours || quietHours.enabled === false) return false;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === null || end === null || start === end) return false;
+
+  const current = localMinutes(now, quietHours.timezone);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+function modeOrSilent(mode) {
+  return mode === DELIVERY.SKIP ? DELIVERY.SKIP : DELIVERY.SILENT;
+}
+
+// Decide how one recipient should receive a push.
+// Returns { delivery, reason } where reason is null for normal delivery.
+function resolveDelivery(userData, { chatId, urgent = false, now = new Date() } = {}) {
+  const settings = (userData && userData.notificationSettings) || {};
+
+  // Admin-flagged urgent pushes bypass every preference
+  if (urgent) return { delivery: DELIVERY.NORMAL, reason: null };
+
+  if (isChatMuted(settings, chatId, now)) {
+    return { delivery: DELIVERY.SKIP, reason: 'chat_muted' };
+  }
+  if (settings.doNotDisturb === true) {
+    return { delivery: modeOrSilent(settings.doNotDisturbMode), reason: 'do_not_disturb' };
+  }
+  if (isInQuietHours(settings.quietHours, now)) {
+    return { delivery: modeOrSilent(settings.quietHours.mode), reason: 'quiet_hours' };
+  }
+  return { delivery: DELIVERY.NORMAL, reason: null };
+}
+
+function morePrivate(a, b) {
+  return PREVIEW_ORDER.indexOf(a) >= PREVIEW_ORDER.indexOf(b) ? a : b;
+}
+
+function validPreviewMode(mode) {
+  return PREVIEW_ORDER.includes(mode) ? mode : null;
+}
+
+// Preview mode for one recipient of a message in `chatData`
+function resolvePreviewMode(userData, { chatId = null, chatData = null } = {}) {
+  const settings = (userData && userData.notificationSettings) || {};
+  const chatModes = settings.chatPreviewModes || {};
+
+  const userMode = (chatId && validPreviewMode(chatModes[chatId])) ||
+    validPreviewMode(settings.previewMode) ||
+    PREVIEW_MODES.FULL;
+  const chatMode = validPreviewMode(chatData && chatData.previewMode) || PREVIEW_MODES.FULL;
+
+  return morePrivate(userMode, chatMode);
+}
+
+module.exports = {
+  DELIVERY,
+  PREVIEW_MODES,
+  toMillis,
+  isChatMuted,
+  isMentionsOnly,
+  parseClock,
+  localMinutes,
+  isInQuietHours,
+  resolveDelivery,
+  resolvePreviewMode,
+};
@@ -0,0 +1,92 @@
+// Who may push to whom. Blocks and friendships are kept in two shapes by
+// different parts of the app, and either one counts:
+//   users/{uid}/blocked/{otherUid}, users/{uid}/friends/{otherUid}
+//     (BlockedUsersScreen, FriendService)
+//   users/{uid}.blockedUsers, users/{uid}.friends (arrays on older profiles)
+//
+// A recipient who has blocked the sender never gets the sender's pushes.
+// Direct sends from one user to another additionally need a shared chat or a
+// friendship.
+
+const { findChatPartnerIds } = require('./chats');
+
+// Reason codes reported in `skippedUsers` next to the preference ones
+const SKIP_REASONS = {
+  BLOCKED: 'blocked_sender',
+  NOT_CONNECTED: 'not_connected',
+};
+
+function listed(userData, field, uid) {
+  return Boolean(userData && Array.isArray(userData[field]) && userData[field].includes(uid));
+}
+
+function relationRef(db, uid, collection, otherUid) {
+  return db.collection('users').doc(uid).collection(collection).doc(otherUid);
+}
+
+// Ids among `recipientIds` who have blocked `senderId`. `users` may map uid
+// to already loaded user data; missing users are read.
+async function findBlockers(db, senderId, recipientIds, users = new Map()) {
+  const ids = [...new Set(recipientIds)].filter(uid => uid !== senderId);
+  if (!senderId || ids.length === 0) return new Set();
+
+  const unloaded = ids.filter(uid => !users.has(uid));
+  const [blockDocs, userDocs] = await Promise.all([
+    db.getAll(...ids.map(uid => relationRef(db, uid, 'blocked', senderId))),
+    unloaded.length > 0
+      ? db.getAll(...unloaded.map(uid => db.collection('users').doc(uid)))
+      : [],
+  ]);
+
+  const userData = new Map(users);
+  userDocs.filter(doc => doc.exists).forEach(doc => userData.set(doc.id, doc.data()));
+
+  return new Set(ids.filter((uid, index) =>
+    blockDocs[index].exists || listed(userData.get(uid), 'blockedUsers', senderId)));
+}
+
+// Split `recipientIds` into those `senderId` may notify and the skipped ones:
+// { allowed, skipped: [{ userId, reason }] }
+async function filterRecipients(db, senderId, recipientIds, users) {
+  const blockers = await findBlockers(db, senderId, recipientIds, users);
+  return {
+    allowed: recipientIds.filter(uid => !blockers.has(uid)),
+    skipped: [...blockers].map(userId => ({ userId, reason: SKIP_REASONS.BLOCKED })),
+  };
+}
+
+// Split `recipientIds` for a direct send from `senderId`, as
+// filterRecipients does, also skipping users who share no chat with the
+// sender and are not their friends. Users may always notify themselves.
+async function filterDirectRecipients(db, senderId, recipientIds) {
+  const { allowed: unblocked, skipped } = await filterRecipients(db, senderId, recipientIds);
+  const others = [...new Set(unblocked)].filter(uid => uid !== senderId);
+  if (others.length === 0) return { allowed: unblocked, skipped };
+
+  const [senderDoc, ...friendDocs] = await db.getAll(
+    db.collection('users').doc(senderId),
+    ...others.map(uid => relationRef(db, senderId, 'friends', uid)),
+  );
+  const senderData = senderDoc.exists ? senderDoc.data() : null;
+  const friends = new Set(others.filter((uid, index) =>
+    friendDocs[index].exists || listed(senderData, 'friends', uid)));
+
+  const strangers = others.filter(uid => !friends.has(uid));
+  const partners = strangers.length > 0 ? await findChatPartnerIds(db, senderId) : new Set();
+  const unconnected = new Set(strangers.filter(uid => !partners.has(uid)));
+
+  return {
+    allowed: unblocked.filter(uid => !unconnected.has(uid)),
+    skipped: [
+      ...skipped,
+      ...[...unconnected].map(userId => ({ userId, reason: SKIP_REASONS.NOT_CONNECTED })),
+    ],
+  };
+}
+
+module.exports = {
+  SKIP_REASONS,
+  findBlockers,
+  filterRecipients,
+  filterDirectRecipients,
+};
@@ -0,0 +1,343 @@
+// Localized notification templates.
+//
+// Every notification kind has a template per locale, rendered in the
+// recipient's stored language (users/{uid}.settings.language, as written by the
+// app's ThemeService). Fields per kind:
+//   text, image, video, audio, document, message
+//       title / body for direct chats, groupTitle / groupBody for groups
+//   broadcast   title, and one body per message type (text, image, ...)
+//   mention, reply
+//       title, body, and previewBody used when the message has a text preview
+//   digest      title / body for direct chats, groupTitle / groupBody for groups
+//   hidden      title / body shown to recipients whose preview mode is 'hidden'
+//   moderationAlert    title / body sent to admins when a user's report score
+//                      reaches the threshold (see ../moderation.js)
+//   moderationWarning, moderationMute
+//                      title / body sent to a user an admin warned or muted
+//
+// Placeholders: {senderName}, {chatName}, {preview}, {count}, {userName}. A field may also
+// be an object keyed by plural category ('zero', 'one', 'two', 'few', 'many',
+// 'other'), chosen from the count by Intl.PluralRules.
+//
+// Admins override templates in message_templates/{kind}, one map per locale:
+//   { ar: { groupBody: '{senderName}: {preview}' } }
+// Overrides are merged field by field over the defaults below.
+
+const TEMPLATES_COLLECTION = 'message_templates';
+const DEFAULT_LOCALE = 'en';
+const PREVIEW_LENGTH = 50;
+const CACHE_MS = 5 * 60 * 1000;
+
+const MESSAGE_KINDS = ['text', 'image', 'video', 'audio', 'document'];
+
+const DEFAULT_TEMPLATES = {
+  en: {
+    text: {
+      title: '💬 {senderName}',
+      body: '{preview}',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName}: {preview}',
+    },
+    image: {
+      title: '📷 {senderName}',
+      body: 'Sent you a photo',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} sent a photo',
+    },
+    video: {
+      title: '🎥 {senderName}',
+      body: 'Sent you a video',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} sent a video',
+    },
+    audio: {
+      title: '🎤 {senderName}',
+      body: 'Sent you a voice message',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} sent a voice message',
+    },
+    document: {
+      title: '📄 {senderName}',
+      body: 'Sent you a document',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} sent a document',
+    },
+    message: {
+      title: '💬 {senderName}',
+      body: 'Sent you a message',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} sent a message',
+    },
+    broadcast: {
+      title: '📢 Broadcast',
+      text: '{senderName}: {preview}',
+      image: '{senderName} sent a photo',
+      video: '{senderName} sent a video',
+      audio: '{senderName} sent a voice message',
+      document: '{senderName} sent a document',
+      message: '{senderName} sent a message',
+    },
+    mention: {
+      title: '👥 {chatName}',
+      body: '{senderName} mentioned you',
+      previewBody: '{senderName} mentioned you: {preview}',
+    },
+    reply: {
+      title: '👥 {chatName}',
+      body: '{senderName} replied to you',
+      previewBody: '{senderName} replied to you: {preview}',
+    },
+    digest: {
+      title: '💬 {senderName}',
+      body: { one: '{count} new message', other: '{count} new messages' },
+      groupTitle: '👥 {chatName}',
+      groupBody: { one: '{count} new message in {chatName}', other: '{count} new messages in {chatName}' },
+    },
+    hidden: {
+      title: 'SOC Chat',
+      body: 'You have a new message',
+    },
+    moderationAlert: {
+      title: '🚩 User needs review',
+      body: { one: '{userName} has been reported by {count} person', other: '{userName} has been reported by {count} people' },
+    },
+    moderationWarning: {
+      title: '⚠️ Warning from the moderators',
+      body: 'Your recent activity was reported. Further reports can lead to a mute or suspension.',
+    },
+    moderationMute: {
+      title: '🔇 You have been muted',
+      body: 'A moderator muted you. Your messages will not be delivered for a while.',
+    },
+  },
+  ar: {
+    text: {
+      title: '💬 {senderName}',
+      body: '{preview}',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName}: {preview}',
+    },
+    image: {
+      title: '📷 {senderName}',
+      body: 'أرسل لك صورة',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} أرسل صورة',
+    },
+    video: {
+      title: '🎥 {senderName}',
+      body: 'أرسل لك فيديو',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} أرسل فيديو',
+    },
+    audio: {
+      title: '🎤 {senderName}',
+      body: 'أرسل لك رسالة صوتية',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} أرسل رسالة صوتية',
+    },
+    document: {
+      title: '📄 {senderName}',
+      body: 'أرسل لك مستندًا',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} أرسل مستندًا',
+    },
+    message: {
+      title: '💬 {senderName}',
+      body: 'أرسل لك رسالة',
+      groupTitle: '👥 {chatName}',
+      groupBody: '{senderName} أرسل رسالة',
+    },
+    broadcast: {
+      title: '📢 إعلان',
+      text: '{senderName}: {preview}',
+      image: '{senderName} أرسل صورة',
+      video: '{senderName} أرسل فيديو',
+      audio: '{senderName} أرسل رسالة صوتية',
+      document: '{senderName} أرسل مستندًا',
+      message: '{senderName} أرسل رسالة',
+    },
+    mention: {
+      title: '👥 {chatName}',
+      body: 'أشار إليك {senderName}',
+      previewBody: 'أشار إليك {senderName}: {preview}',
+    },
+    reply: {
+      title: '👥 {chatName}',
+      body: 'ردّ عليك {senderName}',
+      previewBody: 'ردّ عليك {senderName}: {preview}',
+    },
+    digest: {
+      title: '💬 {senderName}',
+      body: {
+        one: 'رسالة جديدة واحدة',
+        two: 'رسالتان جديدتان',
+        few: '{count} رسائل جديدة',
+        other: '{count} رسالة جديدة',
+      },
+      groupTitle: '👥 {chatName}',
+      groupBody: {
+        one: 'رسالة جديدة واحدة في {chatName}',
+        two: 'رسالتان جديدتان في {chatName}',
+        few: '{count} رسائل جديدة في {chatName}',
+        other: '{count} رسالة جديدة في {chatName}',
+      },
+    },
+    hidden: {
+      title: 'SOC Chat',
+      body: 'لديك رسالة جديدة',
+    },
+    moderationAlert: {
+      title: '🚩 مستخدم بحاجة إلى مراجعة',
+      body: {
+        one: 'أبلغ شخص واحد عن {userName}',
+        two: 'أبلغ شخصان عن {userName}',
+        few: 'أبلغ {count} أشخاص عن {userName}',
+        other: 'أبلغ {count} شخصًا عن {userName}',
+      },
+    },
+    moderationWarning: {
+      title: '⚠️ تحذير من المشرفين',
+      body: 'تم الإبلاغ عن نشاطك الأخير. قد تؤدي البلاغات الإضافية إلى كتمك أو إيقاف حسابك.',
+    },
+    moderationMute: {
+      title: '🔇 تم كتمك',
+      body: 'قام أحد المشرفين بكتمك. لن تُرسل رسائلك لفترة من الوقت.',
+    },
+  },
+};
+
+// Explicit direction marks and embeddings in user text could reorder the
+// surrounding template; interpolated values are isolated instead
+const BIDI_CONTROLS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+const FIRST_STRONG_ISOLATE = '\u2068';
+const POP_DIRECTIONAL_ISOLATE = '\u2069';
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Truncate to `max` user-perceived characters, never splitting an emoji,
+// a combining sequence or an Arabic letter from its marks
+function truncate(text, max = PREVIEW_LENGTH) {
+  const clean = String(text || '').replace(BIDI_CONTROLS, '').trim();
+  const segments = [...graphemes.segment(clean)];
+  if (segments.length <= max) return clean;
+  return segments.slice(0, max).map(s => s.segment).join('').trimEnd() + '…';
+}
+
+function isolate(value) {
+  return FIRST_STRONG_ISOLATE + String(value).replace(BIDI_CONTROLS, '') + POP_DIRECTIONAL_ISOLATE;
+}
+
+// Map a message `type` to its template kind
+function messageKind(type) {
+  return MESSAGE_KINDS.includes(type) ? type : 'message';
+}
+
+// The recipient's language, 'en' when unset
+function localeOf(userData) {
+  const language = userData && ((userData.settings && userData.settings.language) || userData.locale);
+  return typeof language === 'string' && language.length > 0 ? language : DEFAULT_LOCALE;
+}
+
+// 'ar-EG' falls back to 'ar', then to the default locale
+function localeChain(locale) {
+  const chain = [locale];
+  const language = locale.split(/[-_]/)[0];
+  if (language !== locale) chain.push(language);
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+}
+
+function mergeTemplates(defaults, overrides) {
+  const merged = {};
+  for (const locale of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+    merged[locale] = {};
+    const kinds = new Set([
+      ...Object.keys(defaults[locale] || {}),
+      ...Object.keys(overrides[locale] || {}),
+    ]);
+    for (const kind of kinds) {
+      merged[locale][kind] = {
+        ...((defaults[locale] || {})[kind] || {}),
+        ...((overrides[locale] || {})[kind] || {}),
+      };
+    }
+  }
+  return merged;
+}
+
+function selectPlural(value, locale, count) {
+  if (typeof value === 'string' || value === undefined) return value;
+  let category = 'other';
+  try {
+    category = new Intl.PluralRules(locale).select(Number.parseInt(count, 10) || 0);
+  } catch (e) {
+    // Unknown locale: keep 'other'
+  }
+  return value[category] !== undefined ? value[category] : value.other;
+}
+
+function fill(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    (vars[name] === undefined || vars[name] === null ? '' : isolate(vars[name])));
+}
+
+function createTemplateSet(templates) {
+  // First field found along the locale chain, then the same for the fallback field
+  function lookup(kind, locale, field, fallbackField) {
+    for (const name of [field, fallbackField]) {
+      for (const candidate of localeChain(locale)) {
+        const template = templates[candidate] && templates[candidate][kind];
+        if (template && template[name] !== undefined) {
+          return { value: template[name], locale: candidate };
+        }
+      }
+    }
+    return null;
+  }
+
+  return {
+    // Render { title, body } of `kind` for `locale`. `fields` picks the
+    // template fields, e.g. { title: 'groupTitle', body: 'groupBody' }.
+    render(kind, locale, vars, fields = {}) {
+      const rendered = {};
+      for (const part of ['title', 'body']) {
+        const found = lookup(kind, locale, fields[part] || part, part);
+        const template = found ? selectPlural(found.value, found.locale, vars.count) : '';
+        rendered[part] = fill(template || '', vars).trim();
+      }
+      return rendered;
+    },
+  };
+}
+
+let cache = null;
+
+// Defaults merged with admin overrides, cached per instance for a few minutes
+async function loadTemplates(db, { now = Date.now() } = {}) {
+  if (cache && now - cache.loadedAt < CACHE_MS) return cache.templates;
+
+  const overrides = {};
+  const snapshot = await db.collection(TEMPLATES_COLLECTION).get();
+  snapshot.forEach(doc => {
+    for (const [locale, fields] of Object.entries(doc.data())) {
+      if (!fields || typeof fields !== 'object') continue;
+      overrides[locale] = overrides[locale] || {};
+      overrides[locale][doc.id] = fields;
+    }
+  });
+
+  cache = { loadedAt: now, templates: createTemplateSet(mergeTemplates(DEFAULT_TEMPLATES, overrides)) };
+  return cache.templates;
+}
+
+module.exports = {
+  TEMPLATES_COLLECTION,
+  DEFAULT_LOCALE,
+  DEFAULT_TEMPLATES,
+  PREVIEW_LENGTH,
+  createTemplateSet,
+  loadTemplates,
+  localeOf,
+  messageKind,
+  truncate,
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+
+// Per-device FCM token registry stored under users/{uid}/fcm_tokens/{deviceId}.
+// The legacy single `users/{uid}.fcmToken` field is still read so that clients
+// which have not started registering devices keep receiving notifications.
+
+const TOKENS_COLLECTION = 'fcm_tokens';
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+function tokensRef(db, uid) {
+  return db.collection('users').doc(uid).collection(TOKENS_COLLECTION);
+}
+
+function deviceIdForToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 40);
+}
+
+// Create or refresh the token document for one device
+async function registerToken(db, uid, { token, deviceId, platform, appVersion }) {
+  const id = deviceId || deviceIdForToken(token);
+  const now = new Date();
+
+  await tokensRef(db, uid).doc(id).set({
+    token: token,
+    deviceId: id,
+    platform: platform || 'unknown',
+    appVersion: appVersion || null,
+    lastSeen: now,
+  }, { merge: true });
+
+  // The same token must not stay registered under an older device id
+  const duplicates = await tokensRef(db, uid).where('token', '==', token).get();
+  await Promise.all(duplicates.docs
+    .filter(doc => doc.id !== id)
+    .map(doc => doc.ref.delete()));
+
+  return { deviceId: id, lastSeen: now };
+}
+
+// Remove a device by id or by token (e.g. on sign-out)
+async function unregisterToken(db, uid, { token, deviceId }) {
+  let removed = 0;
+
+  if (deviceId) {
+    const doc = await tokensRef(db, uid).doc(deviceId).get();
+    if (doc.exists) {
+      await doc.ref.delete();
+      removed++;
+    }
+  }
+
+  if (token) {
+    const snapshot = await tokensRef(db, uid).where('token', '==', token).get();
+    await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+    removed += snapshot.size;
+
+    const userRef = db.collection('users').doc(uid);
+    const userDoc = await userRef.get();
+    if (userDoc.exists && userDoc.data().fcmToken === token) {
+      await userRef.update({ fcmToken: null });
+    }
+  }
+
+  return removed;
+}
+
+// Load the user documents and every registered device for the given users.
+// Returns { users, entries }: `users` maps uid to user data (missing users are
+// left out) and `entries` holds one entry per unique token:
+// { uid, token, deviceId, platform, ref } where `ref` is the token document,
+// or null for the legacy user field.
+async function loadRecipients(db, userIds) {
+  const uniqueIds = [...new Set(userIds)];
+  const users = new Map();
+
+  const perUser = await Promise.all(uniqueIds.map(async (uid) => {
+    const [userDoc, devices] = await Promise.all([
+      db.collection('users').doc(uid).get(),
+      tokensRef(db, uid).get(),
+    ]);
+    if (userDoc.exists) users.set(uid, userDoc.data());
+
+    const entries = devices.docs
+      .filter(doc => doc.data().token)
+      .map(doc => ({
+        uid,
+        token: doc.data().token,
+        deviceId: doc.id,
+        platform: doc.data().platform || 'unknown',
+        ref: doc.ref,
+      }));
+
+    const legacyToken = userDoc.exists ? userDoc.data().fcmToken : null;
+    if (legacyToken && legacyToken.length > 0) {
+      entries.push({ uid, token: legacyToken, deviceId: null, platform: 'unknown', ref: null });
+    }
+
+    return entries;
+  }));
+
+  const seen = new Set();
+  const entries = [];
+  for (const entry of perUser.flat()) {
+    if (seen.has(entry.token)) continue;
+    seen.add(entry.token);
+    entries.push(entry);
+  }
+  return { users, entries };
+}
+
+// Look up every registered device for the given users
+async function getTokensForUsers(db, userIds) {
+  const { entries } = await loadRecipients(db, userIds);
+  return entries;
+}
+
+// Map raw tokens to the users that registered them; unknown tokens are left out
+async function findTokenOwners(db, tokens) {
+  const owners = new Map();
+  const unique = [...new Set(tokens)];
+
+  // Firestore 'in' filters accept at most 30 values
+  for (let i = 0; i < unique.length; i += 30) {
+    const chunk = unique.slice(i, i + 30);
+    const [devices, legacyUsers] = await Promise.all([
+      db.collectionGroup(TOKENS_COLLECTION).where('token', 'in', chunk).get(),
+      db.collection('users').where('fcmToken', 'in', chunk).get(),
+    ]);
+
+    devices.forEach(doc => owners.set(doc.data().token, doc.ref.parent.parent.id));
+    legacyUsers.forEach(doc => owners.set(doc.data().fcmToken, doc.id));
+  }
+
+  return owners;
+}
+
+function isInvalidTokenError(error) {
+  return Boolean(error && INVALID_TOKEN_ERRORS.includes(error.code));
+}
+
+// Delete tokens whose send response reported them as unregistered/invalid.
+// `entries` and `responses` must be index-aligned, as returned by sendEachForMulticast.
+async function pruneInvalidTokens(db, entries, responses) {
+  const dead = entries.filter((entry, i) =>
+    responses[i] && !responses[i].success && isInvalidTokenError(responses[i].error));
+
+  await Promise.all(dead.map(async (entry) => {
+    try {
+      if (entry.ref) {
+        await entry.ref.delete();
+      } else {
+        await db.collection('users').doc(entry.uid).update({ fcmToken: null });
+      }
+    } catch (error) {
+      console.error(`Failed to prune token for user ${entry.uid}:`, error);
+    }
+  }));
+
+  return dead.length;
+}
+
+module.exports = {
+  TOKENS_COLLECTION,
+  INVALID_TOKEN_ERRORS,
+  tokensRef,
+  registerToken,
+  unregisterToken,
+  loadRecipients,
+  getTokensForUsers,
+  findTokenOwners,
+  isInvalidTokenError,
+  pruneInvalidTokens,
+};
@@ -0,0 +1,61 @@
+// Unread message counting for badges and digest summaries.
+//
+// Per-chat unread counts are kept on users/{uid}.unreadCounts.{chatId}: the
+// message trigger increments them for every recipient and the read trigger
+// recomputes them from `readBy` when the user reads messages on any device.
+
+// Counting stops here; callers show "99+" style counts past it
+const MAX_UNREAD_SCAN = 100;
+
+// `readBy` is an array of uids on most messages and a { uid: true } map on older ones
+function isReadBy(readBy, uid) {
+  if (Array.isArray(readBy)) return readBy.includes(uid);
+  return Boolean(readBy && readBy[uid]);
+}
+
+// Messages in a chat the user has not read, newest first, stopping at the
+// first message they have read or sent.
+async function findUnread(db, chatId, uid, limit = MAX_UNREAD_SCAN) {
+  const snapshot = await db.collection('chats').doc(chatId)
+    .collection('messages')
+    .orderBy('timestamp', 'desc')
+    .limit(limit)
+    .get();
+
+  const unread = [];
+  for (const doc of snapshot.docs) {
+    const message = doc.data();
+    if (message.senderId === uid || isReadBy(message.readBy, uid)) break;
+    unread.push(doc);
+  }
+  return unread;
+}
+
+async function countUnread(db, chatId, uid, limit = MAX_UNREAD_SCAN) {
+  return (await findUnread(db, chatId, uid, limit)).length;
+}
+
+// Total unread messages across all chats, from the stored per-chat counts
+function totalUnread(userData) {
+  const counts = (userData && userData.unreadCounts) || {};
+  return Object.values(counts)
+    .filter(count => typeof count === 'number' && count > 0)
+    .reduce((sum, count) => sum + count, 0);
+}
+
+// Users whose uid was added to `readBy` between two versions of a message
+function newReaders(before, after) {
+  const readers = Array.isArray(after.readBy)
+    ? after.readBy
+    : Object.keys(after.readBy || {}).filter(uid => after.readBy[uid]);
+  return readers.filter(uid => !isReadBy(before.readBy, uid));
+}
+
+module.exports = {
+  MAX_UNREAD_SCAN,
+  isReadBy,
+  findUnread,
+  countUnread,
+  totalUnread,
+  newReaders,
+};
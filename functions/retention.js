@@ -0,0 +1,82 @@
+// Message retention policies, shared by the Firestore triggers in index.js and
+// the retention job in retention_job.js.
+//
+// Per chat, on chats/{chatId}.retention:
+//   { mode: 'keepForever' }                                   // compliance chats
+//   { mode: 'disappearing', seconds: 3600, startOn: 'read' }  // or startOn: 'sent'
+//   absent or { mode: 'default' }                             // admin defaults
+//
+// Admin defaults, on admin_settings/message_retention:
+//   maxAgeDays              messages never outlive this unless kept forever
+//   deleteAfterReadSeconds  default chats delete this long after every member
+//                           has read a message; null keeps read messages until maxAgeDays
+//
+// The server stamps the resulting `expiresAt` on every message, so a client
+// cannot extend or remove it.
+
+const SETTINGS_DOC = 'message_retention';
+
+const DEFAULT_SETTINGS = {
+  maxAgeDays: 7,
+  deleteAfterReadSeconds: 30,
+};
+
+const MODES = {
+  DEFAULT: 'default',
+  DISAPPEARING: 'disappearing',
+  KEEP_FOREVER: 'keepForever',
+};
+
+async function loadSettings(db) {
+  const doc = await db.collection('admin_settings').doc(SETTINGS_DOC).get();
+  return { ...DEFAULT_SETTINGS, ...(doc.exists ? doc.data() : {}) };
+}
+
+// Normalize the chat's retention field, falling back to the default policy
+function resolvePolicy(chatData) {
+  const retention = (chatData && chatData.retention) || {};
+
+  if (retention.mode === MODES.KEEP_FOREVER) {
+    return { mode: MODES.KEEP_FOREVER };
+  }
+  if (retention.mode === MODES.DISAPPEARING && Number(retention.seconds) > 0) {
+    return {
+      mode: MODES.DISAPPEARING,
+      seconds: Number(retention.seconds),
+      startOn: retention.startOn === 'sent' ? 'sent' : 'read',
+    };
+  }
+  return { mode: MODES.DEFAULT };
+}
+
+// When a message must be deleted under `policy`, or null to keep it.
+// `createdAtMs` is the message creation time; `fullyReadAtMs` is when every
+// member had read it, or null if not yet.
+function expiryFor(policy, settings, { createdAtMs, fullyReadAtMs = null }) {
+  if (policy.mode === MODES.KEEP_FOREVER) return null;
+
+  const candidates = [];
+  if (Number(settings.maxAgeDays) > 0) {
+    candidates.push(createdAtMs + Number(settings.maxAgeDays) * 24 * 60 * 60 * 1000);
+  }
+
+  if (policy.mode === MODES.DISAPPEARING) {
+    if (policy.startOn === 'sent') {
+      candidates.push(createdAtMs + policy.seconds * 1000);
+    } else if (fullyReadAtMs !== null) {
+      candidates.push(fullyReadAtMs + policy.seconds * 1000);
+    }
+  } else if (fullyReadAtMs !== null && typeof settings.deleteAfterReadSeconds === 'number') {
+    candidates.push(fullyReadAtMs + settings.deleteAfterReadSeconds * 1000);
+  }
+
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  MODES,
+  loadSettings,
+  resolvePolicy,
+  expiryFor,
+};
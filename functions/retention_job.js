@@ -0,0 +1,248 @@
+// Message retention job, run by deleteExpiredMessages in index.js.
+//
+// Retention policies (see ./retention) are turned into an `expiresAt` stamp on
+// every message by the Firestore triggers in index.js, including the
+// "delete once every member has read it" default and per-chat disappearing
+// timers. This job therefore reads only messages that are due, through one
+// collection-group query on `expiresAt`, and re-checks each against its chat's
+// current policy before deleting: a chat switched to keep-forever or to a longer
+// timer keeps its messages and gets them re-stamped instead.
+//
+// Messages written before the triggers stamped `expiresAt` are found by a
+// one-off backfill over `timestamp`, up to the time the backfill started: each
+// is deleted if its chat's policy has expired it (one read by every member
+// counts as read when the backfill reaches it) and stamped otherwise. Its
+// progress is kept in the same state document until it completes.
+//
+// Deletes go through a BulkWriter. The job stops before the function timeout and
+// stores a cursor in cleanup_state/deleteExpiredMessages, so the next run resumes
+// where this one stopped. Every run writes a summary into cleanup_logs.
+
+const retention = require('./retention');
+const { chats, unread } = require('./notifications');
+
+const PAGE_SIZE = 300;
+const TIME_BUDGET_MS = 7 * 60 * 1000;
+const MEDIA_CONCURRENCY = 10;
+
+const STATE_DOC = 'deleteExpiredMessages';
+
+// Resolve the Storage object of a message: explicit paths first, otherwise the
+// download URL is parsed into bucket and object path
+function mediaLocation(data) {
+  const explicitPath = data.mediaPath || data.storagePath;
+  if (typeof explicitPath === 'string' && explicitPath.length > 0) {
+    return { path: explicitPath };
+  }
+
+  const mediaUrl = data.mediaUrl;
+  if (typeof mediaUrl !== 'string' || !mediaUrl.startsWith('https://')) return null;
+
+  let url;
+  try {
+    url = new URL(mediaUrl);
+  } catch (e) {
+    return null;
+  }
+
+  // https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<encoded path>?alt=media&token=...
+  const firebaseMatch = url.pathname.match(/^\/v0\/b\/([^/]+)\/o\/(.+)$/);
+  if (firebaseMatch) {
+    return { bucket: firebaseMatch[1], path: decodeURIComponent(firebaseMatch[2]) };
+  }
+
+  // https://storage.googleapis.com/<bucket>/<path>
+  if (url.hostname === 'storage.googleapis.com') {
+    const [, bucket, ...rest] = url.pathname.split('/');
+    if (bucket && rest.length > 0) {
+      return { bucket, path: decodeURIComponent(rest.join('/')) };
+    }
+  }
+
+  return null;
+}
+
+async function deleteMedia(storage, locations, stats) {
+  for (let i = 0; i < locations.length; i += MEDIA_CONCURRENCY) {
+    await Promise.all(locations.slice(i, i + MEDIA_CONCURRENCY).map(async (location) => {
+      try {
+        const bucket = location.bucket ? storage.bucket(location.bucket) : storage.bucket();
+        await bucket.file(location.path).delete({ ignoreNotFound: true });
+        stats.mediaDeleted++;
+      } catch (e) {
+        stats.mediaErrors++;
+        console.error(`Failed to delete media ${location.path}:`, e);
+      }
+    }));
+  }
+}
+
+// Page through `field` up to `until`, resuming after `cursor` ({ value, path })
+function pageQuery({ db, FieldPath }, field, until, cursor) {
+  let query = db.collectionGroup('messages')
+    .where(field, '<=', until)
+    .orderBy(field)
+    .orderBy(FieldPath.documentId())
+    .limit(PAGE_SIZE);
+
+  if (cursor) {
+    query = query.startAfter(cursor.value, db.doc(cursor.path));
+  }
+  return query;
+}
+
+// Load the retention policy and members of each chat once per run
+function chatLoader() {
+  const cache = new Map();
+  return (chatRef) => {
+    if (!chatRef) return Promise.resolve({ policy: retention.resolvePolicy(undefined), memberIds: [] });
+    if (!cache.has(chatRef.path)) {
+      cache.set(chatRef.path, chatRef.get().then(doc => ({
+        policy: retention.resolvePolicy(doc.data()),
+        memberIds: chats.getMemberIds(doc.data()),
+      })));
+    }
+    return cache.get(chatRef.path);
+  };
+}
+
+// Delete or re-stamp one page of messages. With `backfill`, messages the
+// triggers already stamped are skipped, and one every member has read counts
+// as read at the cutoff.
+async function processPage({ db, storage, FieldValue, Timestamp }, page, context) {
+  const { writer, chatFor, settings, cutoff, stats, backfill } = context;
+  const media = [];
+
+  for (const doc of page.docs) {
+    const data = doc.data();
+    // Stamped by the triggers, so the expired pass handles it
+    if (backfill && (data.expiresAt || data.retentionMode)) continue;
+
+    const { policy, memberIds } = await chatFor(doc.ref.parent.parent);
+    let fullyReadAtMs = data.fullyReadAt ? data.fullyReadAt.toMillis() : null;
+    let markFullyRead = false;
+    if (backfill && fullyReadAtMs === null) {
+      const recipientIds = memberIds.filter(uid => uid !== data.senderId);
+      markFullyRead = recipientIds.length > 0 && recipientIds.every(uid => unread.isReadBy(data.readBy, uid));
+      if (markFullyRead) fullyReadAtMs = cutoff.toMillis();
+    }
+
+    const due = retention.expiryFor(policy, settings, {
+      createdAtMs: doc.createTime.toMillis(),
+      fullyReadAtMs,
+    });
+
+    if (due && due.getTime() <= cutoff.toMillis()) {
+      const location = mediaLocation(data);
+      if (location) media.push(location);
+      writer.delete(doc.ref).catch(() => undefined);
+      stats.messagesDeleted++;
+    } else {
+      // Not due under the chat's current policy: (re-)stamp it
+      writer.update(doc.ref, {
+        expiresAt: due ? Timestamp.fromDate(due) : FieldValue.delete(),
+        retentionMode: policy.mode,
+        ...(markFullyRead ? { fullyReadAt: cutoff } : {}),
+      }).catch(() => undefined);
+      if (backfill) stats.messagesBackfilled++;
+      else stats.messagesKept++;
+    }
+  }
+
+  await writer.flush();
+  await deleteMedia(storage, media, stats);
+}
+
+// Run the job once. `storage` is firebase-admin's storage(); `FieldValue`,
+// `FieldPath` and `Timestamp` are admin.firestore's. Returns the summary also
+// written to cleanup_logs.
+async function runRetentionJob(deps, { timeBudgetMs = TIME_BUDGET_MS } = {}) {
+  const { db, FieldValue, Timestamp } = deps;
+  const startedAt = Date.now();
+  const outOfTime = () => Date.now() - startedAt > timeBudgetMs;
+  const stateRef = db.collection('cleanup_state').doc(STATE_DOC);
+
+  const [stateDoc, settings] = await Promise.all([stateRef.get(), retention.loadSettings(db)]);
+  const state = stateDoc.exists ? stateDoc.data() : {};
+  const resumedFrom = state.cursor || null;
+  const backfill = state.backfill || { until: Timestamp.now(), cursor: null, completedAt: null };
+
+  const stats = {
+    messagesDeleted: 0,
+    messagesKept: 0,
+    messagesBackfilled: 0,
+    mediaDeleted: 0,
+    mediaErrors: 0,
+    writeErrors: 0,
+  };
+  const writer = db.bulkWriter();
+  writer.onWriteError((error) => {
+    if (error.failedAttempts < 3) return true;
+    stats.writeErrors++;
+    console.error(`Failed to write ${error.documentRef.path}:`, error);
+    return false;
+  });
+
+  const context = { writer, chatFor: chatLoader(), settings, cutoff: Timestamp.now(), stats };
+  let cursor = resumedFrom;
+  let completed = true;
+
+  for (;;) {
+    if (outOfTime()) {
+      completed = false;
+      break;
+    }
+
+    const page = await pageQuery(deps, 'expiresAt', context.cutoff, cursor).get();
+    if (page.empty) break;
+
+    await processPage(deps, page, { ...context, backfill: false });
+
+    const last = page.docs[page.docs.length - 1];
+    cursor = { value: last.get('expiresAt'), path: last.ref.path };
+    if (page.size < PAGE_SIZE) break;
+  }
+
+  // The backfill uses what is left of the time budget and resumes from its
+  // own cursor next run
+  while (completed && !backfill.completedAt && !outOfTime()) {
+    const page = await pageQuery(deps, 'timestamp', backfill.until, backfill.cursor).get();
+    if (page.empty) {
+      backfill.completedAt = Timestamp.now();
+      break;
+    }
+
+    await processPage(deps, page, { ...context, backfill: true });
+
+    const last = page.docs[page.docs.length - 1];
+    backfill.cursor = { value: last.get('timestamp'), path: last.ref.path };
+    if (page.size < PAGE_SIZE) backfill.completedAt = Timestamp.now();
+  }
+
+  await writer.close();
+
+  await stateRef.set({
+    cursor: completed ? null : cursor,
+    backfill,
+    lastRunAt: FieldValue.serverTimestamp(),
+    lastRunCompleted: completed,
+  });
+
+  const summary = {
+    type: 'server_retention',
+    job: STATE_DOC,
+    durationMs: Date.now() - startedAt,
+    completed,
+    resumed: resumedFrom !== null,
+    backfillCompleted: Boolean(backfill.completedAt),
+    ...stats,
+  };
+  await db.collection('cleanup_logs').add({ ...summary, timestamp: FieldValue.serverTimestamp() });
+  return summary;
+}
+
+module.exports = {
+  STATE_DOC,
+  mediaLocation,
+  runRetentionJob,
+};
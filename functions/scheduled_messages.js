@@ -0,0 +1,189 @@
+// Delivery of scheduled messages, run by deliverScheduledMessages in index.js.
+//
+// Schedules written by ScheduledMessagesService in the app:
+// scheduled_messages/{scheduleId} with status 'scheduled', nextDeliveryTime,
+// optional recurringPattern ('daily' | 'weekly' | 'monthly' | 'yearly'),
+// deliveryAttempts and maxDeliveryAttempts.
+
+const { chats } = require('./notifications');
+
+const COLLECTION = 'scheduled_messages';
+const BATCH_LIMIT = 200;
+const RETRY_DELAY_MINUTES = 5;
+
+class PermanentDeliveryError extends Error {}
+
+function nextOccurrence(from, pattern) {
+  const next = new Date(from.getTime());
+  switch (pattern) {
+    case 'weekly':
+      next.setUTCDate(next.getUTCDate() + 7);
+      break;
+    case 'monthly':
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      break;
+    case 'yearly':
+      next.setUTCFullYear(next.getUTCFullYear() + 1);
+      break;
+    case 'daily':
+    default:
+      next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+}
+
+// Advance past `now` so a schedule that was missed for several periods is
+// delivered once rather than in a burst
+function nextDeliveryAfter(last, pattern, now) {
+  let next = nextOccurrence(last, pattern);
+  while (next.getTime() <= now.getTime()) {
+    next = nextOccurrence(next, pattern);
+  }
+  return next;
+}
+
+// Deliver one schedule inside a transaction. The message id is derived from the
+// schedule and the delivery slot, so a second run for the same slot finds the
+// message already written and only settles the schedule.
+async function deliverSchedule({ db, FieldValue }, scheduleRef, now) {
+  return db.runTransaction(async (transaction) => {
+    const scheduleDoc = await transaction.get(scheduleRef);
+    const schedule = scheduleDoc.data();
+    if (!schedule || schedule.status !== 'scheduled') return 'skipped';
+
+    const deliveryTime = schedule.nextDeliveryTime;
+    if (!deliveryTime || deliveryTime.toMillis() > now.getTime()) return 'skipped';
+
+    const { chatId, senderId, senderName, messageText, mediaUrl, mediaType, recurringPattern } = schedule;
+    if (!chatId || !senderId || (!messageText && !mediaUrl)) {
+      throw new PermanentDeliveryError('Schedule is missing chatId, senderId or content');
+    }
+
+    const chatRef = db.collection('chats').doc(chatId);
+    const messageRef = chatRef.collection('messages').doc(`scheduled_${scheduleRef.id}_${deliveryTime.toMillis()}`);
+    const [chatDoc, existingMessage] = await Promise.all([
+      transaction.get(chatRef),
+      transaction.get(messageRef),
+    ]);
+
+    if (!chatDoc.exists) {
+      throw new PermanentDeliveryError(`Chat ${chatId} no longer exists`);
+    }
+
+    const members = chats.getMemberIds(chatDoc.data());
+    if (members.length > 0 && !members.includes(senderId)) {
+      throw new PermanentDeliveryError('Sender is no longer a member of the chat');
+    }
+
+    if (!existingMessage.exists) {
+      transaction.create(messageRef, {
+        text: messageText || '',
+        senderId: senderId,
+        senderName: senderName || 'Unknown User',
+        timestamp: FieldValue.serverTimestamp(),
+        type: mediaUrl ? (mediaType || 'document') : 'text',
+        mediaUrl: mediaUrl || null,
+        mediaType: mediaType || null,
+        readBy: [senderId],
+        scheduledMessageId: scheduleRef.id,
+        isScheduled: true,
+      });
+
+      transaction.update(chatRef, {
+        lastMessage: messageText || '',
+        lastMessageTime: FieldValue.serverTimestamp(),
+        lastMessageSender: senderName || 'Unknown User',
+      });
+    }
+
+    if (recurringPattern) {
+      transaction.update(scheduleRef, {
+        nextDeliveryTime: nextDeliveryAfter(deliveryTime.toDate(), recurringPattern, now),
+        lastDeliveredAt: FieldValue.serverTimestamp(),
+        lastMessageId: messageRef.id,
+        deliveryAttempts: 0,
+        lastError: FieldValue.delete(),
+      });
+    } else {
+      transaction.update(scheduleRef, {
+        status: 'delivered',
+        deliveredAt: FieldValue.serverTimestamp(),
+        lastMessageId: messageRef.id,
+        lastError: FieldValue.delete(),
+      });
+    }
+
+    return existingMessage.exists ? 'already-delivered' : 'delivered';
+  });
+}
+
+// Record a failed attempt: permanent errors fail immediately, others are
+// retried with a linear backoff until maxDeliveryAttempts, matching the client
+async function recordFailure({ db, FieldValue }, scheduleRef, error, now) {
+  const reason = error instanceof Error ? error.message : String(error);
+  const permanent = error instanceof PermanentDeliveryError;
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(scheduleRef);
+    const schedule = doc.data();
+    if (!schedule || schedule.status !== 'scheduled') return;
+
+    const attempts = (schedule.deliveryAttempts || 0) + 1;
+    const maxAttempts = schedule.maxDeliveryAttempts || 3;
+
+    if (permanent || attempts >= maxAttempts) {
+      transaction.update(scheduleRef, {
+        status: 'failed',
+        deliveryAttempts: attempts,
+        lastError: reason,
+        failedAt: FieldValue.serverTimestamp(),
+      });
+    } else {
+      transaction.update(scheduleRef, {
+        deliveryAttempts: attempts,
+        nextDeliveryTime: new Date(now.getTime() + attempts * RETRY_DELAY_MINUTES * 60 * 1000),
+        lastError: reason,
+      });
+    }
+  });
+}
+
+// Deliver every schedule due at `now`. `FieldValue` is firebase-admin's.
+// Returns counts of what happened.
+async function deliverDueSchedules({ db, FieldValue }, now = new Date()) {
+  const dueSnap = await db.collection(COLLECTION)
+    .where('status', '==', 'scheduled')
+    .where('nextDeliveryTime', '<=', now)
+    .orderBy('nextDeliveryTime')
+    .limit(BATCH_LIMIT)
+    .get();
+
+  const summary = { delivered: 0, alreadyDelivered: 0, skipped: 0, failed: 0 };
+
+  for (const scheduleDoc of dueSnap.docs) {
+    try {
+      const result = await deliverSchedule({ db, FieldValue }, scheduleDoc.ref, now);
+      if (result === 'delivered') summary.delivered++;
+      else if (result === 'already-delivered') summary.alreadyDelivered++;
+      else summary.skipped++;
+    } catch (error) {
+      console.error(`Failed to deliver scheduled message ${scheduleDoc.id}:`, error);
+      summary.failed++;
+      try {
+        await recordFailure({ db, FieldValue }, scheduleDoc.ref, error, now);
+      } catch (e) {
+        console.error(`Failed to record failure for ${scheduleDoc.id}:`, e);
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  COLLECTION,
+  PermanentDeliveryError,
+  nextDeliveryAfter,
+  deliverSchedule,
+  deliverDueSchedules,
+};
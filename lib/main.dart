@@ -34,6 +34,7 @@ import 'screens/update_test_screen.dart';
 import 'screens/app_health_check_screen.dart';
 import 'screens/startup_diagnostics_screen.dart';
 import 'screens/fcm_sound_test_screen.dart';
+import 'screens/chat_loader_screen.dart';
 
 import 'package:shared_preferences/shared_preferences.dart';
 
@@ -47,6 +48,8 @@ import 'services/secure_message_service.dart';
 import 'services/local_message_storage.dart';
 
 import 'services/fcm_notification_service.dart';
+import 'services/fcm_token_service.dart';
+import 'services/web_push_bridge.dart' if (dart.library.io) 'services/web_push_bridge_stub.dart';
 import 'services/unified_notification_service.dart';
 import 'services/logger_service.dart';
 import 'widgets/error_boundary.dart';
@@ -82,6 +85,11 @@ Future<void> main() async {
     await Firebase.initializeApp(options: DefaultFirebaseOptions.currentPlatform);
     Log.i('Firebase initialized successfully', 'MAIN');
 
+    // Web: keep Firestore data in IndexedDB so chats stay readable offline
+    if (kIsWeb) {
+      FirebaseFirestore.instance.settings = const Settings(persistenceEnabled: true);
+    }
+
     // iOS foreground presentation (so banners/sounds show in foreground)
     await FirebaseMessaging.instance.setForegroundNotificationPresentationOptions(
       alert: true, badge: true, sound: true,
@@ -246,6 +254,17 @@ class _MyAppState extends State<MyApp> with TickerProviderStateMixin {
                   onThemeChanged: (bool dark) =>
                       _themeService.setTheme(dark ? ThemeMode.dark : ThemeMode.light)),
             },
+            // Notification links: /chat?chatId=... (or arguments: chatId)
+            onGenerateRoute: (settings) {
+              final uri = Uri.parse(settings.name ?? '');
+              if (uri.path != '/chat') return null;
+              final chatId = settings.arguments as String? ?? uri.queryParameters['chatId'];
+              if (chatId == null || chatId.isEmpty) return null;
+              return MaterialPageRoute(
+                settings: settings,
+                builder: (_) => ChatLoaderScreen(chatId: chatId),
+              );
+            },
             debugShowCheckedModeBanner: false,
           );
         },
@@ -336,6 +355,13 @@ class _MainAppState extends State<MainApp> {
       // Optional: presence service on mobile only
       if (!kIsWeb) PresenceService().start();
 
+      // Web: notification clicks and actions arrive from the service worker
+      if (kIsWeb) {
+        WebPushBridge().start(
+          onOpenChat: (chatId) => navigatorKey.currentState?.pushNamed('/chat', arguments: chatId),
+        );
+      }
+
       Log.i('App initialization completed successfully', 'MAIN_APP');
     } catch (e) {
       Log.e('Error during app initialization', 'MAIN_APP', e);
@@ -384,29 +410,9 @@ class _MainAppState extends State<MainApp> {
         Log.e('FCM notification service failed', 'MAIN_APP', e);
       }
 
-      // Token fetch (for all platforms)
-      final token = await FirebaseMessaging.instance.getToken();
-      Log.i('FCM token: $token', 'MAIN_APP');
-      
-      // Store token with userId in Firestore
-      if (token != null) {
-        final currentUser = FirebaseAuth.instance.currentUser;
-        if (currentUser != null) {
-          try {
-            await FirebaseFirestore.instance
-                .collection('users')
-                .doc(currentUser.uid)
-                .update({
-              'fcmToken': token,
-              'lastTokenUpdate': FieldValue.serverTimestamp(),
-              'platform': 'mobile', // Simplified platform detection
-            });
-            Log.i('FCM token stored in Firestore', 'MAIN_APP');
-          } catch (e) {
-            Log.e('Error storing FCM token', 'MAIN_APP', e);
-          }
-        }
-      }
+      // Register this device's token (for all platforms) and keep it current
+      await FcmTokenService.registerDevice();
+      FcmTokenService.listenForTokenRefresh();
 
       // Health check + optional startup local test
       if (fcm != null) {
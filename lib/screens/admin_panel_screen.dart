@@ -1095,7 +1095,13 @@ class _AdminPanelScreenState extends State<AdminPanelScreen> with TickerProvider
                           ],
                         ),
                         leading: const Icon(Icons.campaign),
-                        trailing: Text('${data['recipients']?.length ?? 0} recipients'),
+                        trailing: data['stats'] is Map
+                            ? Text('${data['stats']['successCount'] ?? 0} delivered\n'
+                                '${data['stats']['recipientCount'] ?? 0} recipients',
+                                textAlign: TextAlign.end)
+                            : Text(data['status'] != null && data['status'] != 'sent'
+                                ? '${data['status']}'
+                                : '${data['recipients']?.length ?? 0} recipients'),
                       );
                     },
                   );
@@ -33,6 +33,7 @@ import '../services/admin_group_service.dart';
 import '../services/theme_service.dart';
 import '../services/chat_management_service.dart';
 import '../services/fcm_notification_service.dart';
+import '../services/fcm_token_service.dart';
 import '../services/logger_service.dart'; // Added import for logging
 import '../widgets/version_display_widget.dart';
 import '../widgets/voice_message_player.dart';
@@ -351,6 +352,7 @@ class _ChatListScreenState extends State<ChatListScreen> {
                   break;
                 case 'logout':
                   final navigator = Navigator.of(context);
+                  await FcmTokenService.unregisterDevice();
                   await FirebaseAuth.instance.signOut();
                   if (mounted) {
                     navigator.pushReplacementNamed('/login');
@@ -579,6 +581,7 @@ class _ChatListScreenState extends State<ChatListScreen> {
               title: const Text('Logout', style: TextStyle(color: Colors.red)),
               onTap: () async {
                 Navigator.pop(context);
+                await FcmTokenService.unregisterDevice();
                 await FirebaseAuth.instance.signOut();
                 if (mounted) {
                   Navigator.pushReplacementNamed(context, '/login');
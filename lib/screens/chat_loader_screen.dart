@@ -0,0 +1,82 @@
+import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:firebase_auth/firebase_auth.dart';
+import 'package:flutter/material.dart';
+
+import '../services/logger_service.dart';
+import 'chat_screen.dart';
+import 'login_screen.dart';
+
+/// Opens a chat from just its id, as notification links and clicks do
+/// (`/chat?chatId=...`): loads the chat to find its name, then shows [ChatScreen].
+class ChatLoaderScreen extends StatefulWidget {
+  final String chatId;
+
+  const ChatLoaderScreen({super.key, required this.chatId});
+
+  @override
+  State<ChatLoaderScreen> createState() => _ChatLoaderScreenState();
+}
+
+class _ChatLoaderScreenState extends State<ChatLoaderScreen> {
+  // Loaded once, not again on every rebuild
+  late Future<ChatScreen?> _chat;
+
+  @override
+  void initState() {
+    super.initState();
+    _chat = _load(widget.chatId);
+  }
+
+  @override
+  void didUpdateWidget(ChatLoaderScreen oldWidget) {
+    super.didUpdateWidget(oldWidget);
+    if (oldWidget.chatId != widget.chatId) _chat = _load(widget.chatId);
+  }
+
+  Future<ChatScreen?> _load(String chatId) async {
+    // On web the signed-in user is restored asynchronously after a reload
+    final user = await FirebaseAuth.instance.authStateChanges().first;
+    if (user == null) return null;
+
+    final chatDoc = await FirebaseFirestore.instance.collection('chats').doc(chatId).get();
+    final data = chatDoc.data() ?? {};
+    final isGroup = data['isGroup'] == true || data['isGroupChat'] == true;
+    final members = (data['members'] as List?)?.cast<String>();
+
+    var chatName = (data['groupName'] ?? data['name'] ?? '').toString();
+    if (!isGroup) {
+      final otherId = members?.firstWhere((id) => id != user.uid, orElse: () => '') ?? '';
+      if (otherId.isNotEmpty) {
+        final other = (await FirebaseFirestore.instance.collection('users').doc(otherId).get()).data() ?? {};
+        chatName = (other['displayName'] ?? other['username'] ?? other['email'] ?? 'Unknown User').toString();
+      }
+    }
+
+    return ChatScreen(
+      chatId: chatId,
+      isGroupChat: isGroup,
+      chatName: chatName.isNotEmpty ? chatName : 'Chat',
+      userIds: members,
+    );
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return FutureBuilder<ChatScreen?>(
+      future: _chat,
+      builder: (context, snapshot) {
+        if (snapshot.hasError) {
+          Log.e('Failed to open chat ${widget.chatId}', 'CHAT_LOADER', snapshot.error);
+          return Scaffold(
+            appBar: AppBar(),
+            body: const Center(child: Text('This chat could not be opened')),
+          );
+        }
+        if (snapshot.connectionState != ConnectionState.done) {
+          return const Scaffold(body: Center(child: CircularProgressIndicator()));
+        }
+        return snapshot.data ?? const LoginScreen();
+      },
+    );
+  }
+}
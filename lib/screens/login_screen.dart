@@ -9,6 +9,7 @@ import 'package:flutter/material.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:cloud_firestore/cloud_firestore.dart';
 
+import '../services/fcm_token_service.dart';
 import '../services/localization_service.dart';
 import '../services/theme_service.dart';
 
@@ -131,6 +132,7 @@ class _LoginScreenState extends State<LoginScreen> {
 
         if (doc.exists && doc.data()?['disabled'] == true) {
           // Account is locked - sign out and show locked message
+          await FcmTokenService.unregisterDevice();
           await FirebaseAuth.instance.signOut();
           setState(() {
             _isAccountLocked = true;
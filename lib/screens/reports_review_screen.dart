@@ -47,6 +47,23 @@ class ReportsReviewScreen extends StatelessWidget {
       SnackBar(content: Text('Report marked as $status.')),);
   }
 
+  // Applied by the handleReportReview Cloud Function, which checks that the
+  // reviewer is an admin and records the action in admin_audit_logs. The
+  // Firestore rules refuse it from non-admins.
+  Future<void> _takeAction(BuildContext context, String reportId, String action) async {
+    final scaffoldMessenger = ScaffoldMessenger.of(context);
+    final admin = FirebaseAuth.instance.currentUser;
+    if (admin == null) return;
+    await FirebaseFirestore.instance.collection('reports').doc(reportId).update({
+      'status': 'resolved',
+      'action': action,
+      'reviewedBy': admin.uid,
+      'reviewedAt': FieldValue.serverTimestamp(),
+    });
+    scaffoldMessenger.showSnackBar(
+      SnackBar(content: Text('Action "$action" requested.')),);
+  }
+
   @override
   Widget build(BuildContext context) {
     return Scaffold(
@@ -71,6 +88,9 @@ class ReportsReviewScreen extends StatelessWidget {
               final details = data['details'] ?? '';
               final timestamp = (data['timestamp'] as Timestamp?)?.toDate();
               final status = data['status'] ?? 'open';
+              final action = data['action'] as String?;
+              final actionResult = (data['actionResult'] as Map<String, dynamic>?)?['outcome'];
+              final score = data['score'];
               return Card(
                 margin: const EdgeInsets.symmetric(horizontal: 12, vertical: 8),
                 child: ListTile(
@@ -83,7 +103,9 @@ class ReportsReviewScreen extends StatelessWidget {
                       Text('Reason: $reason'),
                       if (details.isNotEmpty) Text('Details: $details'),
                       if (timestamp != null) Text('Time: $timestamp'),
+                      if (score != null) Text('Report score: $score'),
                       Text('Status: $status', style: TextStyle(fontWeight: FontWeight.bold, color: status == 'open' ? Colors.red : Colors.green)),
+                      if (action != null) Text('Action: $action${actionResult != null ? ' ($actionResult)' : ''}'),
                     ],
                   ),
                   trailing: PopupMenuButton<String>(
@@ -94,6 +116,8 @@ class ReportsReviewScreen extends StatelessWidget {
                         await _deleteUser(context, reportedUserId);
                       } else if (value == 'disable') {
                         await _disableUser(context, reportedUserId);
+                      } else if (value == 'warn' || value == 'mute' || value == 'suspend') {
+                        await _takeAction(context, doc.id, value);
                       } else if (value == 'resolved') {
                         await _setReportStatus(context, doc.id, 'resolved');
                       } else if (value == 'ignored') {
@@ -101,6 +125,9 @@ class ReportsReviewScreen extends StatelessWidget {
                       }
                     },
                     itemBuilder: (context) => [
+                      const PopupMenuItem(value: 'warn', child: Text('Warn User')),
+                      const PopupMenuItem(value: 'mute', child: Text('Mute User (24h)')),
+                      const PopupMenuItem(value: 'suspend', child: Text('Suspend Account')),
                       const PopupMenuItem(value: 'block', child: Text('Block User')),
                       const PopupMenuItem(value: 'disable', child: Text('Disable User (Firestore)')),
                       const PopupMenuItem(value: 'delete', child: Text('Delete User (Firestore only)')),
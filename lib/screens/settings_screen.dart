@@ -39,6 +39,7 @@ import '../services/theme_service.dart';
 
 import '../services/admin_group_service.dart';
 import '../services/chat_management_service.dart';
+import '../services/fcm_token_service.dart';
 
 
 
@@ -495,6 +496,7 @@ class _SettingsScreenState extends State<SettingsScreen> {
                       );
                       
                       if (confirmed == true && mounted) {
+                        await FcmTokenService.unregisterDevice();
                         await FirebaseAuth.instance.signOut();
                         if (mounted) {
                           Navigator.of(context).pushNamedAndRemoveUntil(
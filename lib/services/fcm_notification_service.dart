@@ -1,6 +1,7 @@
 import 'dart:async';
 import 'dart:convert';
 import 'package:flutter/foundation.dart';
+import 'package:flutter/widgets.dart' show StringCharacters;
 import 'package:firebase_messaging/firebase_messaging.dart';
 import 'package:flutter_local_notifications/flutter_local_notifications.dart';
 import 'package:cloud_firestore/cloud_firestore.dart';
@@ -68,9 +69,25 @@ class FCMNotificationService {
   Future<void> _display(RemoteMessage message, {required bool isBackground}) async {
     final unified = UnifiedNotificationService();
 
-    final title = message.notification?.title ?? message.data['title'] ?? 'New message';
-    final body  = message.notification?.body  ?? message.data['body']  ?? '';
+    // Silent pushes (muted, DND, quiet hours, badge sync) only carry data
+    if (message.data['silent'] == 'true') return;
+
+    var title = message.notification?.title ?? message.data['title'] ?? 'New message';
+    var body  = message.notification?.body  ?? message.data['body']  ?? '';
     final payload = json.encode(message.data);
+
+    // Encrypted pushes carry a ciphertext envelope (or a fetch hint) that the
+    // server could not read. The app holds no chat keys to decrypt it with
+    // (see functions/notifications/encryption.js), so show a generic notification
+    if (message.data['encrypted'] == 'true') {
+      title = 'New message';
+      body = 'Encrypted message';
+    } else if (message.data['dataOnly'] == 'true') {
+      // Data-only pushes carry just chatId/messageId; the content is fetched here
+      final rendered = await _renderDataOnly(message.data);
+      title = rendered.key;
+      body = rendered.value;
+    }
     
     // Determine channel based on message type
     String channelId = 'chat_notifications';
@@ -80,14 +97,63 @@ class FCMNotificationService {
       channelId = 'broadcast_notifications';
     }
 
+    // Chat pushes carry a token for acting on them from the notification;
+    // the server cannot write replies into encrypted chats
+    final actionable = message.data['chatId'] != null && message.data['actionToken'] != null;
+
     await unified.sendLocalNotification(
       title: title,
       body: body,
       payload: payload,
       channelId: channelId,
+      canReply: actionable && message.data['encrypted'] != 'true',
+      canMarkRead: actionable,
     );
   }
 
+  /// Builds the title and body of a data-only push from the message itself,
+  /// falling back to a generic notification when it cannot be read
+  Future<MapEntry<String, String>> _renderDataOnly(Map<String, dynamic> data) async {
+    const fallback = MapEntry('New message', 'You have a new message');
+    final chatId = data['chatId'];
+    final messageId = data['messageId'];
+    if (chatId == null) return fallback;
+
+    try {
+      final chatRef = FirebaseFirestore.instance.collection('chats').doc(chatId);
+      final chat = (await chatRef.get()).data() ?? {};
+      final isGroup = chat['isGroupChat'] == true || chat['isGroup'] == true;
+      final chatName = chat['name'] as String? ?? 'Chat';
+
+      if (messageId == null) {
+        final count = data['unreadCount'] ?? '';
+        return MapEntry(isGroup ? chatName : 'New message', '$count new messages');
+      }
+
+      final message = (await chatRef.collection('messages').doc(messageId).get()).data();
+      if (message == null) return fallback;
+
+      final sender = message['senderName'] as String? ?? '';
+      final type = message['type'] as String? ?? 'text';
+      final text = message['text'] as String? ?? '';
+      final content = switch (type) {
+        'text' => text.characters.length > 50 ? '${text.characters.take(50)}…' : text,
+        'image' => 'Photo',
+        'video' => 'Video',
+        'audio' => 'Voice message',
+        'document' => 'Document',
+        _ => 'New message',
+      };
+
+      return isGroup
+          ? MapEntry(chatName, '$sender: $content')
+          : MapEntry(sender.isEmpty ? 'New message' : sender, content);
+    } catch (e) {
+      Log.e('Failed to render data-only notification', 'FCM', e);
+      return fallback;
+    }
+  }
+
   // Stubbed health check (extend to call your server, or ping FCM)
   Future<bool> checkFCMServerHealth() async {
     try {
@@ -1,27 +1,113 @@
+import 'dart:async';
+import 'dart:math';
+
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import 'package:firebase_messaging/firebase_messaging.dart';
+import 'package:flutter/foundation.dart';
+import 'package:package_info_plus/package_info_plus.dart';
+import 'package:shared_preferences/shared_preferences.dart';
+
+import 'logger_service.dart';
 
+/// Registers this device's FCM token under users/{uid}/fcm_tokens/{deviceId}
+/// through the registerDeviceToken callable, so every signed-in device gets
+/// pushes and dead tokens can be pruned per device.
+///
+/// The legacy `users/{uid}.fcmToken` field is still written for code that reads
+/// a single token.
 class FcmTokenService {
-  static Future<void> saveFcmTokenToFirestore() async {
+  static const _deviceIdKey = 'fcm_device_id';
+
+  static StreamSubscription<String>? _refreshSubscription;
+
+  /// Random id for this installation, kept across launches and token refreshes
+  static Future<String> deviceId() async {
+    final prefs = await SharedPreferences.getInstance();
+    final existing = prefs.getString(_deviceIdKey);
+    if (existing != null) return existing;
+
+    final random = Random.secure();
+    final id = List.generate(16, (_) => random.nextInt(256).toRadixString(16).padLeft(2, '0')).join();
+    await prefs.setString(_deviceIdKey, id);
+    return id;
+  }
+
+  static String _platform() {
+    if (kIsWeb) return 'web';
+    return switch (defaultTargetPlatform) {
+      TargetPlatform.android => 'android',
+      TargetPlatform.iOS => 'ios',
+      TargetPlatform.macOS => 'macos',
+      TargetPlatform.windows => 'windows',
+      TargetPlatform.linux => 'linux',
+      _ => 'unknown',
+    };
+  }
+
+  static Future<String?> _appVersion() async {
+    try {
+      final info = await PackageInfo.fromPlatform();
+      return '${info.version}+${info.buildNumber}';
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /// Register the current token for the signed-in user
+  static Future<void> registerDevice() async {
+    if (FirebaseAuth.instance.currentUser == null) return;
+    final token = await FirebaseMessaging.instance.getToken();
+    if (token != null) await _register(token);
+  }
+
+  static Future<void> _register(String token) async {
     final user = FirebaseAuth.instance.currentUser;
     if (user == null) return;
-    final fcmToken = await FirebaseMessaging.instance.getToken();
-    if (fcmToken != null) {
+
+    try {
+      await FirebaseFunctions.instance.httpsCallable('registerDeviceToken').call({
+        'token': token,
+        'deviceId': await deviceId(),
+        'platform': _platform(),
+        'appVersion': await _appVersion(),
+      });
+      Log.i('Device token registered', 'FCM_TOKEN');
+    } catch (e) {
+      Log.e('Failed to register device token', 'FCM_TOKEN', e);
+    }
+
+    try {
       await FirebaseFirestore.instance.collection('users').doc(user.uid).update({
-        'fcmToken': fcmToken,
+        'fcmToken': token,
+        'lastTokenUpdate': FieldValue.serverTimestamp(),
       });
+    } catch (e) {
+      Log.e('Failed to store legacy FCM token', 'FCM_TOKEN', e);
     }
   }
 
+  /// Re-register whenever FCM rotates the token; safe to call more than once
   static void listenForTokenRefresh() {
-    FirebaseMessaging.instance.onTokenRefresh.listen((newToken) async {
-      final user = FirebaseAuth.instance.currentUser;
-      if (user != null) {
-        await FirebaseFirestore.instance.collection('users').doc(user.uid).update({
-          'fcmToken': newToken,
-        });
-      }
-    });
+    _refreshSubscription ??= FirebaseMessaging.instance.onTokenRefresh.listen(_register);
+  }
+
+  /// Remove this device from the signed-in user's devices. Call before
+  /// FirebaseAuth.signOut(), while the callable can still identify the user.
+  static Future<void> unregisterDevice() async {
+    if (FirebaseAuth.instance.currentUser == null) return;
+
+    try {
+      final token = await FirebaseMessaging.instance.getToken();
+      await FirebaseFunctions.instance.httpsCallable('unregisterDeviceToken').call({
+        'deviceId': await deviceId(),
+        if (token != null) 'token': token,
+      });
+      Log.i('Device token unregistered', 'FCM_TOKEN');
+    } catch (e) {
+      // Signing out must still work offline
+      Log.e('Failed to unregister device token', 'FCM_TOKEN', e);
+    }
   }
-} 
\ No newline at end of file
+}
@@ -5,6 +5,8 @@
 // It provides a centralized way to control app appearance and localization
 // with persistent storage across app sessions.
 
+import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:firebase_auth/firebase_auth.dart';
 import 'package:flutter/material.dart';
 import 'package:shared_preferences/shared_preferences.dart';
 
@@ -328,6 +330,7 @@ class ThemeService extends ChangeNotifier {
       // Save to persistent storage
       final prefs = await SharedPreferences.getInstance();
       await prefs.setString(_languageKey, _locale.languageCode);
+      await _syncLanguageToProfile(_locale.languageCode);
       
       // Notify listeners of the change
       notifyListeners();
@@ -336,6 +339,21 @@ class ThemeService extends ChangeNotifier {
     }
   }
   
+  /// Stores the language on the user's profile so that push notifications,
+  /// which are rendered on the server, use it too
+  Future<void> _syncLanguageToProfile(String languageCode) async {
+    final user = FirebaseAuth.instance.currentUser;
+    if (user == null) return;
+
+    try {
+      await FirebaseFirestore.instance.collection('users').doc(user.uid).set({
+        'settings': {'language': languageCode},
+      }, SetOptions(merge: true));
+    } catch (e) {
+      print('Error syncing language to profile: $e');
+    }
+  }
+
   /// Sets the language to a specific language code
   /// This method allows setting the language to any supported language
   /// 
@@ -348,6 +366,7 @@ class ThemeService extends ChangeNotifier {
       // Save to persistent storage
       final prefs = await SharedPreferences.getInstance();
       await prefs.setString(_languageKey, languageCode);
+      await _syncLanguageToProfile(languageCode);
       
       // Log the language change for debugging
       print('Language changed to: $languageCode');
@@ -1,9 +1,22 @@
 import 'dart:convert';
 import 'package:flutter/foundation.dart';
+import 'package:flutter/widgets.dart' show WidgetsFlutterBinding;
 import 'package:flutter_local_notifications/flutter_local_notifications.dart';
+import 'package:firebase_core/firebase_core.dart';
 import 'package:firebase_messaging/firebase_messaging.dart';
+import 'package:cloud_functions/cloud_functions.dart';
+import '../firebase_options.dart';
 import 'logger_service.dart';
 
+/// Notification actions tapped while the app is not running are delivered to a
+/// background isolate, which needs its own Firebase app
+@pragma('vm:entry-point')
+Future<void> notificationActionBackgroundHandler(NotificationResponse response) async {
+  WidgetsFlutterBinding.ensureInitialized();
+  await Firebase.initializeApp(options: DefaultFirebaseOptions.currentPlatform);
+  await UnifiedNotificationService.handleNotificationAction(response);
+}
+
 class UnifiedNotificationService {
   static final UnifiedNotificationService _instance = UnifiedNotificationService._();
   factory UnifiedNotificationService() => _instance;
@@ -12,14 +25,28 @@ class UnifiedNotificationService {
   final FlutterLocalNotificationsPlugin _fln = FlutterLocalNotificationsPlugin();
   bool _initialized = false;
 
+  // Chat notification actions, backed by the handleNotificationAction function
+  static const String replyActionId = 'reply';
+  static const String markReadActionId = 'mark_read';
+  static const String _replyCategory = 'chat_reply_actions';
+  static const String _readCategory = 'chat_read_actions';
+
   Future<void> initialize() async {
     if (_initialized) return;
 
     const AndroidInitializationSettings androidInit =
         AndroidInitializationSettings('@mipmap/ic_launcher'); // Use your small icon
 
+    final markRead = DarwinNotificationAction.plain(markReadActionId, 'Mark as read');
     final DarwinInitializationSettings iosInit = DarwinInitializationSettings(
       onDidReceiveLocalNotification: (id, title, body, payload) async {},
+      notificationCategories: [
+        DarwinNotificationCategory(_replyCategory, actions: [
+          DarwinNotificationAction.text(replyActionId, 'Reply', buttonTitle: 'Send'),
+          markRead,
+        ]),
+        DarwinNotificationCategory(_readCategory, actions: [markRead]),
+      ],
     );
 
     final InitializationSettings initSettings =
@@ -28,12 +55,17 @@ class UnifiedNotificationService {
     await _fln.initialize(
         initSettings,
       onDidReceiveNotificationResponse: (NotificationResponse response) async {
+        if (response.actionId != null) {
+          await handleNotificationAction(response);
+          return;
+        }
         final payload = response.payload;
         if (payload != null) {
           Log.i('Local notif tapped payload: $payload', 'UNIFIED');
           // Handle navigation based on payload if needed
         }
       },
+      onDidReceiveBackgroundNotificationResponse: notificationActionBackgroundHandler,
     );
 
     // Create commonly used channels (MUST match IDs used by pushes)
@@ -84,6 +116,8 @@ class UnifiedNotificationService {
     required String body,
     required String payload,
     String channelId = 'chat_notifications',
+    bool canReply = false,
+    bool canMarkRead = false,
   }) async {
     final details = NotificationDetails(
       android: AndroidNotificationDetails(
@@ -99,8 +133,22 @@ class UnifiedNotificationService {
                 ? const RawResourceAndroidNotificationSound('notification_sound')
                 : const RawResourceAndroidNotificationSound('chat_notification'),
         styleInformation: const BigTextStyleInformation(''),
+        actions: [
+          if (canReply)
+            const AndroidNotificationAction(
+              replyActionId,
+              'Reply',
+              inputs: [AndroidNotificationActionInput(label: 'Write a reply…')],
+            ),
+          if (canMarkRead) const AndroidNotificationAction(markReadActionId, 'Mark as read'),
+        ],
+      ),
+      iOS: DarwinNotificationDetails(
+        presentAlert: true,
+        presentBadge: true,
+        presentSound: true,
+        categoryIdentifier: canReply ? _replyCategory : canMarkRead ? _readCategory : null,
       ),
-      iOS: const DarwinNotificationDetails(presentAlert: true, presentBadge: true, presentSound: true),
     );
 
     await _fln.show(
@@ -112,6 +160,31 @@ class UnifiedNotificationService {
       );
   }
 
+  /// Reply / Mark as read on a chat notification. The payload is the push data,
+  /// whose action token authorizes the call for this user and chat.
+  static Future<void> handleNotificationAction(NotificationResponse response) async {
+    final actionId = response.actionId;
+    final payload = response.payload;
+    if (payload == null || (actionId != replyActionId && actionId != markReadActionId)) return;
+
+    try {
+      final data = json.decode(payload) as Map<String, dynamic>;
+      final text = response.input?.trim() ?? '';
+      if (actionId == replyActionId && text.isEmpty) return;
+
+      await FirebaseFunctions.instance.httpsCallable('handleNotificationAction').call({
+        'action': actionId == replyActionId ? 'reply' : 'markRead',
+        'chatId': data['chatId'],
+        'messageId': data['messageId'],
+        'actionToken': data['actionToken'],
+        if (actionId == replyActionId) 'text': text,
+      });
+      Log.i('Notification action $actionId done for chat ${data['chatId']}', 'UNIFIED');
+    } catch (e) {
+      Log.e('Notification action $actionId failed', 'UNIFIED', e);
+    }
+  }
+
   /// Send broadcast notification
   Future<bool> sendBroadcastNotification({
     required String title,
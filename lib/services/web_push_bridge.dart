@@ -0,0 +1,46 @@
+import 'dart:async';
+import 'dart:html' as html;
+
+import 'logger_service.dart';
+
+/// Messages from the push service worker (web/firebase-messaging-sw.js) to open
+/// app windows:
+///   notification-click  {chatId, messageId}   a notification was clicked
+///   push-received       {chatId, messageId, unreadCount, badgeCount}
+///   unread-changed      {chatId, unreadCount} a notification action read the chat
+///   chat-muted          {chatId, until}
+class WebPushBridge {
+  static final WebPushBridge _instance = WebPushBridge._internal();
+  factory WebPushBridge() => _instance;
+  WebPushBridge._internal();
+
+  final StreamController<Map<String, dynamic>> _events = StreamController.broadcast();
+  StreamSubscription<html.MessageEvent>? _subscription;
+  void Function(String chatId)? _onOpenChat;
+
+  /// Every message the service worker posts, for screens tracking unread state
+  Stream<Map<String, dynamic>> get events => _events.stream;
+
+  void start({required void Function(String chatId) onOpenChat}) {
+    final container = html.window.navigator.serviceWorker;
+    if (_subscription != null || container == null) return;
+
+    _onOpenChat = onOpenChat;
+    _subscription = container.onMessage.listen(_handle);
+    // Messages are queued until the page opts in
+    container.startMessages();
+    Log.i('Listening for service worker messages', 'WEB_PUSH');
+  }
+
+  void _handle(html.MessageEvent event) {
+    final data = event.data;
+    if (data is! Map) return;
+
+    final message = Map<String, dynamic>.from(data);
+    final chatId = message['chatId'];
+    if (message['type'] == 'notification-click' && chatId is String) {
+      _onOpenChat?.call(chatId);
+    }
+    _events.add(message);
+  }
+}
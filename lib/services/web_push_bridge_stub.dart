@@ -0,0 +1,11 @@
+/// Stub implementation of WebPushBridge for mobile platforms
+/// This file is imported when dart:html is not available (i.e., on mobile)
+class WebPushBridge {
+  static final WebPushBridge _instance = WebPushBridge._internal();
+  factory WebPushBridge() => _instance;
+  WebPushBridge._internal();
+
+  Stream<Map<String, dynamic>> get events => const Stream.empty();
+
+  void start({required void Function(String chatId) onOpenChat}) {}
+}
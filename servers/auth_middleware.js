@@ -0,0 +1,175 @@
+// Authentication and authorization for the FCM server routes.
+//
+// Callers authenticate with one of
+//   Authorization: Bearer <Firebase ID token>   app users and admins
+//   X-API-Key: <key>                            backend services
+//
+// API keys are JWTs signed with API_KEY_SECRET (mint them with
+// create_api_key.js). A key carries the scopes it may use and is revoked by
+// setting `revoked: true` on api_keys/{keyId}.
+//
+// Users get every scope except topic sends and outbox management, which are
+// reserved for admins.
+// Non-admin users may additionally only notify themselves and people they share
+// a chat with or are friends with, and only (un)subscribe their own devices to
+// topics. Nobody's pushes reach users who have blocked them.
+
+const jwt = require('jsonwebtoken');
+const { relationships, tokens: tokenRegistry } = require('../functions/notifications');
+
+const API_KEY_ISSUER = 'soc-chat-fcm-server';
+const API_KEYS_COLLECTION = 'api_keys';
+
+const SCOPES = {
+  SEND_TOKENS: 'notifications:tokens',
+  SEND_USERS: 'notifications:users',
+  SEND_TOPICS: 'notifications:topics',
+  MANAGE_TOPICS: 'topics:manage',
+  MANAGE_OUTBOX: 'outbox:manage',
+};
+
+const USER_SCOPES = [SCOPES.SEND_TOKENS, SCOPES.SEND_USERS, SCOPES.MANAGE_TOPICS];
+
+function unauthorized(res, details) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({
+    error: 'Authentication required',
+    details,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function forbidden(res, details) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    details,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function createAuthMiddleware({ auth, db, apiKeySecret = process.env.API_KEY_SECRET }) {
+  async function isAdminUser(decodedToken) {
+    if (decodedToken.admin === true || decodedToken.role === 'admin') return true;
+
+    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+    return userDoc.exists && userDoc.data().role === 'admin';
+  }
+
+  async function principalFromIdToken(idToken) {
+    const decoded = await auth.verifyIdToken(idToken, true);
+    const isAdmin = await isAdminUser(decoded);
+    return {
+      type: 'user',
+      uid: decoded.uid,
+      isAdmin,
+      scopes: isAdmin ? Object.values(SCOPES) : USER_SCOPES,
+    };
+  }
+
+  async function principalFromApiKey(apiKey) {
+    if (!apiKeySecret) {
+      throw new Error('API keys are not enabled on this server');
+    }
+
+    const claims = jwt.verify(apiKey, apiKeySecret, {
+      algorithms: ['HS256'],
+      issuer: API_KEY_ISSUER,
+    });
+    if (!claims.jti) {
+      throw new Error('API key has no key id');
+    }
+
+    const keyDoc = await db.collection(API_KEYS_COLLECTION).doc(claims.jti).get();
+    if (keyDoc.exists && keyDoc.data().revoked) {
+      throw new Error('API key has been revoked');
+    }
+
+    return {
+      type: 'apiKey',
+      keyId: claims.jti,
+      name: claims.sub,
+      isAdmin: false,
+      scopes: Array.isArray(claims.scopes) ? claims.scopes : [],
+    };
+  }
+
+  // Resolve the caller into req.principal or answer 401
+  async function authenticate(req, res, next) {
+    const header = req.get('authorization') || '';
+    const apiKey = req.get('x-api-key');
+
+    try {
+      if (header.startsWith('Bearer ')) {
+        req.principal = await principalFromIdToken(header.slice('Bearer '.length).trim());
+      } else if (apiKey) {
+        req.principal = await principalFromApiKey(apiKey);
+      } else {
+        return unauthorized(res, 'Send a Firebase ID token or an API key');
+      }
+    } catch (error) {
+      console.warn(`Rejected credentials for ${req.method} ${req.path}:`, error.message);
+      return unauthorized(res, 'Invalid or expired credentials');
+    }
+
+    next();
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.principal || !req.principal.scopes.includes(scope)) {
+        return forbidden(res, `Missing scope: ${scope}`);
+      }
+      next();
+    };
+  }
+
+  // Split `userIds` into those the principal may notify and the skipped ones,
+  // as the callables do: { allowed, skipped: [{ userId, reason }] } with the
+  // reasons of relationships.SKIP_REASONS. API keys send as no user.
+  async function filterRecipients(principal, userIds) {
+    if (principal.type !== 'user') return { allowed: userIds, skipped: [] };
+    return principal.isAdmin
+      ? relationships.filterRecipients(db, principal.uid, userIds)
+      : relationships.filterDirectRecipients(db, principal.uid, userIds);
+  }
+
+  // Same for device tokens, which count as their owners. Tokens of unknown
+  // devices are returned in `unknown`; only admins and API keys may send to them.
+  async function filterTokens(principal, tokens) {
+    if (principal.type !== 'user') return { allowed: tokens, skipped: [], unknown: [] };
+
+    const owners = await tokenRegistry.findTokenOwners(db, tokens);
+    const { skipped } = await filterRecipients(principal, [...new Set(owners.values())]);
+    const skippedIds = new Set(skipped.map(skip => skip.userId));
+    const unknown = tokens.filter(token => !owners.has(token));
+    return {
+      allowed: tokens.filter(token => (owners.has(token) ? !skippedIds.has(owners.get(token)) : principal.isAdmin)),
+      skipped,
+      unknown: principal.isAdmin ? [] : unknown,
+    };
+  }
+
+  // Tokens the principal may not (un)subscribe: users manage only their own devices
+  async function deniedSubscriptions(principal, tokens) {
+    if (principal.type !== 'user' || principal.isAdmin) return [];
+
+    const owners = await tokenRegistry.findTokenOwners(db, tokens);
+    return tokens.filter(token => owners.get(token) !== principal.uid);
+  }
+
+  return {
+    authenticate,
+    requireScope,
+    filterRecipients,
+    filterTokens,
+    deniedSubscriptions,
+  };
+}
+
+module.exports = {
+  API_KEY_ISSUER,
+  API_KEYS_COLLECTION,
+  SCOPES,
+  createAuthMiddleware,
+  forbidden,
+};
@@ -0,0 +1,45 @@
+// Mint a scoped API key for a backend service calling the FCM server.
+//
+//   API_KEY_SECRET=... node create_api_key.js <name> <scope> [scope...] [--days N]
+//
+// Scopes: notifications:tokens, notifications:users, notifications:topics,
+// topics:manage, outbox:manage.
+// Revoke a key by setting `revoked: true` on api_keys/{keyId} in Firestore.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { API_KEY_ISSUER, API_KEYS_COLLECTION, SCOPES } = require('./auth_middleware');
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const daysIndex = args.indexOf('--days');
+const days = daysIndex >= 0 ? Number(args[daysIndex + 1]) : 365;
+const [name, ...scopes] = daysIndex >= 0 ? args.filter((_, i) => i !== daysIndex && i !== daysIndex + 1) : args;
+
+if (!process.env.API_KEY_SECRET) {
+  console.error('API_KEY_SECRET is not set');
+  process.exit(1);
+}
+
+const knownScopes = Object.values(SCOPES);
+if (!name || scopes.length === 0 || scopes.some(scope => !knownScopes.includes(scope)) || !(days > 0)) {
+  console.error('Usage: node create_api_key.js <name> <scope> [scope...] [--days N]');
+  console.error(`Scopes: ${knownScopes.join(', ')}`);
+  process.exit(1);
+}
+
+const keyId = crypto.randomUUID();
+const apiKey = jwt.sign({ scopes }, process.env.API_KEY_SECRET, {
+  algorithm: 'HS256',
+  issuer: API_KEY_ISSUER,
+  subject: name,
+  jwtid: keyId,
+  expiresIn: `${days}d`,
+});
+
+console.log(`Key id:  ${keyId}`);
+console.log(`Scopes:  ${scopes.join(', ')}`);
+console.log(`Expires: ${new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()}`);
+console.log(`Revoke:  set revoked: true on ${API_KEYS_COLLECTION}/${keyId}`);
+console.log('');
+console.log(apiKey);
@@ -1,7 +1,7 @@
-const admin = require('firebase-admin');
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const { initializeFirebase } = require('./firebase_transport');
 
 // Initialize Express app
 const app = express();
@@ -11,13 +11,18 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// Initialize Firebase Admin SDK with your service account
-const serviceAccount = require('./assets/service-account/soc-chat-app-ca57e-bc21fed17ba4.json');
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  projectId: 'soc-chat-app-ca57e'
-});
+// Initialize Firebase Admin SDK with your service account, or against the
+// emulators with the fake FCM transport (FIREBASE_EMULATORS=1)
+let firebase;
+try {
+  firebase = initializeFirebase({
+    serviceAccountFile: './assets/service-account/soc-chat-app-ca57e-bc21fed17ba4.json',
+  });
+} catch (error) {
+  console.error('Failed to initialize Firebase Admin SDK:', error.message);
+  process.exit(1);
+}
+app.locals.firebase = firebase;
 
 // Routes
 
@@ -66,7 +71,7 @@ app.post('/send-notification', async (req, res) => {
       },
     };
 
-    const response = await admin.messaging().send(message);
+    const response = await firebase.messaging.send(message);
     
     console.log('Successfully sent message:', response);
     res.json({ 
@@ -120,7 +125,7 @@ app.post('/send-topic-notification', async (req, res) => {
       },
     };
 
-    const response = await admin.messaging().send(message);
+    const response = await firebase.messaging.send(message);
     
     console.log('Successfully sent topic message:', response);
     res.json({ 
@@ -173,7 +178,7 @@ app.post('/send-multicast', async (req, res) => {
       },
     };
 
-    const response = await admin.messaging().sendMulticast({
+    const response = await firebase.messaging.sendMulticast({
       tokens: tokens,
       notification: message.notification,
       data: message.data,
@@ -209,7 +214,7 @@ app.post('/subscribe-topic', async (req, res) => {
       });
     }
 
-    const response = await admin.messaging().subscribeToTopic(tokens, topic);
+    const response = await firebase.messaging.subscribeToTopic(tokens, topic);
     
     console.log('Successfully subscribed to topic:', response);
     res.json({ 
@@ -239,7 +244,7 @@ app.post('/unsubscribe-topic', async (req, res) => {
       });
     }
 
-    const response = await admin.messaging().unsubscribeFromTopic(tokens, topic);
+    const response = await firebase.messaging.unsubscribeFromTopic(tokens, topic);
     
     console.log('Successfully unsubscribed from topic:', response);
     res.json({ 
@@ -259,14 +264,17 @@ app.post('/unsubscribe-topic', async (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 FCM Server running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`📨 Send notification: POST http://localhost:${PORT}/send-notification`);
-  console.log(`📢 Send topic notification: POST http://localhost:${PORT}/send-topic-notification`);
-  console.log(`📤 Send multicast: POST http://localhost:${PORT}/send-multicast`);
-  console.log(`➕ Subscribe to topic: POST http://localhost:${PORT}/subscribe-topic`);
-  console.log(`➖ Unsubscribe from topic: POST http://localhost:${PORT}/unsubscribe-topic`);
-});
+// Jest suites (NODE_ENV=test) drive the exported app with supertest
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`🚀 FCM Server running on port ${PORT} (transport: ${firebase.transport})`);
+    console.log(`📱 Health check: http://localhost:${PORT}/health`);
+    console.log(`📨 Send notification: POST http://localhost:${PORT}/send-notification`);
+    console.log(`📢 Send topic notification: POST http://localhost:${PORT}/send-topic-notification`);
+    console.log(`📤 Send multicast: POST http://localhost:${PORT}/send-multicast`);
+    console.log(`➕ Subscribe to topic: POST http://localhost:${PORT}/subscribe-topic`);
+    console.log(`➖ Unsubscribe from topic: POST http://localhost:${PORT}/unsubscribe-topic`);
+  });
+}
 
 module.exports = app;
@@ -2,13 +2,21 @@ const admin = require('firebase-admin');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const path = require('path');
+const {
+  createDispatcher,
+  outbox: { KINDS, STATUS, createOutbox },
+  relationships: { SKIP_REASONS },
+} = require('../functions/notifications');
+const { SCOPES, createAuthMiddleware, forbidden } = require('./auth_middleware');
+const { initializeFirebase } = require('./firebase_transport');
+const { createLimiters } = require('./rate_limit');
 require('dotenv').config();
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
+const OUTBOX_POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 30 * 1000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
 // Security middleware
@@ -31,54 +39,58 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
+// Behind a load balancer or reverse proxy, TRUST_PROXY is the number of proxy
+// hops so that req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Rate limiting, shared between replicas through Redis in production
+const limits = createLimiters();
+app.use(limits.ip);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Initialize Firebase Admin SDK
-let serviceAccount;
+// Initialize Firebase Admin SDK: FCM with a service account, or the
+// emulators and the fake transport in development (see ./firebase_transport)
+let firebase;
 try {
-  if (NODE_ENV === 'production') {
-    // In production, use environment variables
-    serviceAccount = {
-      type: process.env.FIREBASE_TYPE,
-      project_id: process.env.FIREBASE_PROJECT_ID,
-      private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-      private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      client_email: process.env.FIREBASE_CLIENT_EMAIL,
-      client_id: process.env.FIREBASE_CLIENT_ID,
-      auth_uri: process.env.FIREBASE_AUTH_URI,
-      token_uri: process.env.FIREBASE_TOKEN_URI,
-      auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
-      client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL,
-    };
-  } else {
-    // In development, use local service account file
-    serviceAccount = require('./assets/service-account/soc-chat-app-ca57e-firebase-adminsdk-fbsvc-b395336526.json');
-  }
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || 'soc-chat-app-ca57e',
-    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || 'soc-chat-app-ca57e.appspot.com',
+  firebase = initializeFirebase({
+    serviceAccountFile: './assets/service-account/soc-chat-app-ca57e-firebase-adminsdk-fbsvc-b395336526.json',
   });
 
-  console.log('Firebase Admin SDK initialized successfully');
+  console.log(`Firebase Admin SDK initialized (transport: ${firebase.transport}`
+    + `${firebase.emulators ? ', emulators' : ''})`);
 } catch (error) {
-  console.error('Failed to initialize Firebase Admin SDK:', error);
+  console.error('Failed to initialize Firebase Admin SDK:', error.message);
   process.exit(1);
 }
 
+// Tests reach the recorded messages of the fake transport through app.locals
+app.locals.firebase = firebase;
+
+// Same dispatch path as the Cloud Functions callables and triggers
+const dispatcher = createDispatcher({
+  db: firebase.db,
+  messaging: firebase.messaging,
+});
+
+// Sends are persisted and retried through the outbox (notification_outbox)
+const outbox = createOutbox({
+  db: firebase.db,
+  dispatcher,
+  maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) || undefined,
+});
+
+// Every send and topic route requires a Firebase ID token or a scoped API key
+const access = createAuthMiddleware({
+  auth: firebase.auth,
+  db: firebase.db,
+});
+const { authenticate, requireScope } = access;
+
 // Request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -113,8 +125,14 @@ app.get('/health/detailed', async (req, res) => {
       memory: process.memoryUsage(),
       version: process.env.npm_package_version || '1.0.0',
       firebase: {
-        projectId: admin.app().options.projectId,
-        initialized: admin.app().options.credential !== undefined,
+        projectId: firebase.app.options.projectId,
+        initialized: true,
+        transport: firebase.transport,
+        emulators: firebase.emulators,
+      },
+      rateLimit: {
+        store: limits.store,
+        connected: limits.client ? limits.client.isOpen : null,
       },
       system: {
         nodeVersion: process.version,
@@ -136,7 +154,7 @@ app.get('/health/detailed', async (req, res) => {
 });
 
 // Send notification to specific FCM token
-app.post('/send-notification', async (req, res) => {
+app.post('/send-notification', authenticate, requireScope(SCOPES.SEND_TOKENS), limits.sends, async (req, res) => {
   try {
     const { token, title, body, data, priority = 'high' } = req.body;
     
@@ -156,64 +174,71 @@ app.post('/send-notification', async (req, res) => {
       });
     }
 
-    const message = {
-      token: token,
+    // As sendFCMNotification: the token counts as its owner, who must be
+    // known and connected to the caller; an owner who blocked the caller is
+    // reported in skippedUsers
+    const { allowed, skipped, unknown } = await access.filterTokens(req.principal, [token]);
+    if (unknown.length > 0) {
+      return forbidden(res, 'Token is not registered to any user');
+    }
+    if (skipped.some(skip => skip.reason === SKIP_REASONS.NOT_CONNECTED)) {
+      return forbidden(res, 'Recipient shares no chat with you and is not a friend');
+    }
+    if (allowed.length === 0) {
+      return res.json({
+        success: false,
+        skippedUsers: skipped,
+        message: 'Recipient is not accepting notifications from you',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const outcome = await outbox.enqueue({
+      kind: KINDS.TOKEN,
+      target: token,
       notification: {
-        title: title,
-        body: body,
-      },
-      data: data || {},
-      android: {
-        priority: priority,
-        notification: {
-          channelId: data?.channelId || 'chat_channel',
-          priority: priority,
-          defaultSound: true,
-          icon: '@mipmap/ic_launcher',
-          color: '#2196F3',
-        },
+        title,
+        body,
+        data,
+        priority,
+        channelId: data?.channelId || 'chat_channel',
+        category: data?.category || 'default',
+        color: '#2196F3',
       },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-            category: data?.category || 'default',
-          },
-        },
-        headers: {
-          'apns-priority': priority === 'high' ? '10' : '5',
-        },
-      },
-      webpush: {
-        headers: {
-          'Urgency': priority === 'high' ? 'high' : 'normal',
-        },
-        notification: {
-          icon: '/icon-192x192.png',
-          badge: '/badge-72x72.png',
-        },
-      },
-    };
+      requestedBy: requesterOf(req),
+    });
+
+    if (outcome.status !== STATUS.SENT) {
+      return respondNotSent(req, res, outcome, {
+        type: 'individual',
+        token: token.substring(0, 20) + '...',
+        title,
+        body,
+      });
+    }
 
-    const response = await admin.messaging().send(message);
+    const response = outcome.result.messageId;
     
     console.log('Successfully sent message:', response);
     
     // Log successful notification
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'individual',
       token: token.substring(0, 20) + '...',
       title,
       body,
       status: 'success',
+      outboxId: outcome.id,
       messageId: response,
       timestamp: new Date(),
     });
     
     res.json({ 
       success: true, 
+      outboxId: outcome.id,
       messageId: response,
+      skippedUsers: [],
       message: 'Notification sent successfully',
       timestamp: new Date().toISOString(),
     });
@@ -223,6 +248,7 @@ app.post('/send-notification', async (req, res) => {
     
     // Log failed notification
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'individual',
       token: req.body.token?.substring(0, 20) + '...',
       title: req.body.title,
@@ -241,7 +267,7 @@ app.post('/send-notification', async (req, res) => {
 });
 
 // Send notification to topic
-app.post('/send-topic-notification', async (req, res) => {
+app.post('/send-topic-notification', authenticate, requireScope(SCOPES.SEND_TOPICS), limits.sends, limits.topic, async (req, res) => {
   try {
     const { topic, title, body, data, priority = 'high' } = req.body;
     
@@ -252,63 +278,45 @@ app.post('/send-topic-notification', async (req, res) => {
       });
     }
 
-    const message = {
-      topic: topic,
+    const outcome = await outbox.enqueue({
+      kind: KINDS.TOPIC,
+      target: topic,
       notification: {
-        title: title,
-        body: body,
-      },
-      data: data || {},
-      android: {
-        priority: priority,
-        notification: {
-          channelId: data?.channelId || 'broadcast_channel',
-          priority: priority,
-          defaultSound: true,
-          icon: '@mipmap/ic_launcher',
-          color: '#FF5722',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-            category: data?.category || 'broadcast',
-          },
-        },
-        headers: {
-          'apns-priority': priority === 'high' ? '10' : '5',
-        },
+        title,
+        body,
+        data,
+        priority,
+        channelId: data?.channelId || 'broadcast_channel',
+        category: data?.category || 'broadcast',
+        color: '#FF5722',
       },
-      webpush: {
-        headers: {
-          'Urgency': priority === 'high' ? 'high' : 'normal',
-        },
-        notification: {
-          icon: '/icon-192x192.png',
-          badge: '/badge-72x72.png',
-        },
-      },
-    };
+      requestedBy: requesterOf(req),
+    });
 
-    const response = await admin.messaging().send(message);
+    if (outcome.status !== STATUS.SENT) {
+      return respondNotSent(req, res, outcome, { type: 'topic', topic, title, body });
+    }
+
+    const response = outcome.result.messageId;
     
     console.log('Successfully sent topic message:', response);
     
     // Log successful broadcast
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'topic',
       topic,
       title,
       body,
       status: 'success',
+      outboxId: outcome.id,
       messageId: response,
       timestamp: new Date(),
     });
     
     res.json({ 
       success: true, 
+      outboxId: outcome.id,
       messageId: response,
       message: 'Topic notification sent successfully',
       timestamp: new Date().toISOString(),
@@ -319,6 +327,7 @@ app.post('/send-topic-notification', async (req, res) => {
     
     // Log failed broadcast
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'topic',
       topic: req.body.topic,
       title: req.body.title,
@@ -337,7 +346,7 @@ app.post('/send-topic-notification', async (req, res) => {
 });
 
 // Send multicast notification to multiple tokens
-app.post('/send-multicast', async (req, res) => {
+app.post('/send-multicast', authenticate, requireScope(SCOPES.SEND_TOKENS), limits.sends, limits.multicast, async (req, res) => {
   try {
     const { tokens, title, body, data, priority = 'high' } = req.body;
     
@@ -356,71 +365,68 @@ app.post('/send-multicast', async (req, res) => {
       });
     }
 
-    const message = {
+    // Devices of users who blocked the caller or aren't connected to them
+    // are left out and their owners reported in skippedUsers
+    const { allowed, skipped, unknown } = await access.filterTokens(req.principal, tokens);
+    if (unknown.length > 0) {
+      return forbidden(res, `${unknown.length} of ${tokens.length} tokens are not registered to any user`);
+    }
+    if (allowed.length === 0) {
+      return res.json({
+        success: false,
+        skippedUsers: skipped,
+        message: 'None of the devices can be notified',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const outcome = await outbox.enqueue({
+      kind: KINDS.TOKENS,
+      target: allowed,
       notification: {
-        title: title,
-        body: body,
-      },
-      data: data || {},
-      android: {
-        priority: priority,
-        notification: {
-          channelId: data?.channelId || 'chat_channel',
-          priority: priority,
-          defaultSound: true,
-          icon: '@mipmap/ic_launcher',
-          color: '#2196F3',
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: 'default',
-            badge: 1,
-            category: data?.category || 'default',
-          },
-        },
-        headers: {
-          'apns-priority': priority === 'high' ? '10' : '5',
-        },
+        title,
+        body,
+        data,
+        priority,
+        channelId: data?.channelId || 'chat_channel',
+        category: data?.category || 'default',
+        color: '#2196F3',
       },
-      webpush: {
-        headers: {
-          'Urgency': priority === 'high' ? 'high' : 'normal',
-        },
-        notification: {
-          icon: '/icon-192x192.png',
-          badge: '/badge-72x72.png',
-        },
-      },
-    };
-
-    const response = await admin.messaging().sendMulticast({
-      tokens: tokens,
-      ...message,
+      requestedBy: requesterOf(req),
     });
+
+    if (outcome.status !== STATUS.SENT) {
+      return respondNotSent(req, res, outcome, { type: 'multicast', tokenCount: allowed.length, title, body }, skipped);
+    }
+
+    const response = outcome.result;
     
-    console.log('Successfully sent multicast message:', response);
+    console.log('Successfully sent multicast message:', response.successCount, 'success', response.failureCount, 'failure');
     
     // Log successful multicast
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'multicast',
-      tokenCount: tokens.length,
+      tokenCount: allowed.length,
+      skippedCount: skipped.length,
       successCount: response.successCount,
       failureCount: response.failureCount,
       title,
       body,
       status: 'success',
+      outboxId: outcome.id,
       timestamp: new Date(),
     });
     
     res.json({ 
       success: true, 
+      outboxId: outcome.id,
       response: {
         successCount: response.successCount,
         failureCount: response.failureCount,
-        responses: response.responses,
+        responses: response.batches.flatMap(batch => batch.responses),
       },
+      skippedUsers: skipped,
       message: 'Multicast notification sent successfully',
       timestamp: new Date().toISOString(),
     });
@@ -430,6 +436,7 @@ app.post('/send-multicast', async (req, res) => {
     
     // Log failed multicast
     await logNotification({
+      requestedBy: requesterOf(req),
       type: 'multicast',
       tokenCount: req.body.tokens?.length || 0,
       title: req.body.title,
@@ -447,8 +454,108 @@ app.post('/send-multicast', async (req, res) => {
   }
 });
 
+// Send notification to every registered device of the given users
+app.post('/send-to-users', authenticate, requireScope(SCOPES.SEND_USERS), limits.sends, async (req, res) => {
+  try {
+    const { userIds, title, body, data, priority = 'high' } = req.body;
+    
+    if (!userIds || !Array.isArray(userIds) || userIds.length === 0 || !title || !body) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: userIds (array), title, body',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // As sendNotificationToUsers: recipients who blocked the caller or aren't
+    // connected to them are skipped and reported with a reason code
+    const { allowed, skipped } = await access.filterRecipients(req.principal, userIds);
+    if (allowed.length === 0) {
+      return res.json({
+        success: false,
+        skippedUsers: skipped,
+        message: 'None of the users can be notified',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const outcome = await outbox.enqueue({
+      kind: KINDS.USERS,
+      target: allowed,
+      notification: {
+        title,
+        body,
+        data,
+        priority,
+        channelId: data?.channelId || 'chat_channel',
+        category: data?.category || 'default',
+        color: '#2196F3',
+      },
+      // Retries skip anyone who blocks the caller in the meantime
+      options: req.principal.type === 'user' ? { senderId: req.principal.uid } : {},
+      requestedBy: requesterOf(req),
+    });
+
+    if (outcome.status !== STATUS.SENT) {
+      return respondNotSent(req, res, outcome, { type: 'users', userCount: allowed.length, title, body }, skipped);
+    }
+
+    const response = outcome.result;
+    const skippedUsers = [...skipped, ...response.skippedUsers];
+    
+    await logNotification({
+      requestedBy: requesterOf(req),
+      type: 'users',
+      userCount: allowed.length,
+      skippedCount: skippedUsers.length,
+      deviceCount: response.deviceCount,
+      successCount: response.successCount,
+      failureCount: response.failureCount,
+      prunedTokens: response.prunedTokens,
+      title,
+      body,
+      status: 'success',
+      outboxId: outcome.id,
+      timestamp: new Date(),
+    });
+    
+    res.json({ 
+      success: response.deviceCount > 0, 
+      outboxId: outcome.id,
+      response: {
+        deviceCount: response.deviceCount,
+        successCount: response.successCount,
+        failureCount: response.failureCount,
+        prunedTokens: response.prunedTokens,
+      },
+      skippedUsers,
+      message: response.deviceCount > 0 ? 'Notifications sent successfully' : 'No FCM tokens found for users',
+      timestamp: new Date().toISOString(),
+    });
+    
+  } catch (error) {
+    console.error('Error sending notifications to users:', error);
+    
+    await logNotification({
+      requestedBy: requesterOf(req),
+      type: 'users',
+      userCount: req.body.userIds?.length || 0,
+      title: req.body.title,
+      body: req.body.body,
+      status: 'failed',
+      error: error.message,
+      timestamp: new Date(),
+    });
+    
+    res.status(500).json({ 
+      error: 'Failed to send notifications to users',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 // Subscribe to topic
-app.post('/subscribe-topic', async (req, res) => {
+app.post('/subscribe-topic', authenticate, requireScope(SCOPES.MANAGE_TOPICS), limits.sends, async (req, res) => {
   try {
     const { tokens, topic } = req.body;
     
@@ -459,7 +566,11 @@ app.post('/subscribe-topic', async (req, res) => {
       });
     }
 
-    const response = await admin.messaging().subscribeToTopic(tokens, topic);
+    if ((await access.deniedSubscriptions(req.principal, tokens)).length > 0) {
+      return forbidden(res, 'You may only manage topic subscriptions of your own devices');
+    }
+
+    const response = await firebase.messaging.subscribeToTopic(tokens, topic);
     
     console.log('Successfully subscribed to topic:', response);
     
@@ -481,7 +592,7 @@ app.post('/subscribe-topic', async (req, res) => {
 });
 
 // Unsubscribe from topic
-app.post('/unsubscribe-topic', async (req, res) => {
+app.post('/unsubscribe-topic', authenticate, requireScope(SCOPES.MANAGE_TOPICS), limits.sends, async (req, res) => {
   try {
     const { tokens, topic } = req.body;
     
@@ -492,7 +603,11 @@ app.post('/unsubscribe-topic', async (req, res) => {
       });
     }
 
-    const response = await admin.messaging().unsubscribeFromTopic(tokens, topic);
+    if ((await access.deniedSubscriptions(req.principal, tokens)).length > 0) {
+      return forbidden(res, 'You may only manage topic subscriptions of your own devices');
+    }
+
+    const response = await firebase.messaging.unsubscribeFromTopic(tokens, topic);
     
     console.log('Successfully unsubscribed from topic:', response);
     
@@ -513,6 +628,113 @@ app.post('/unsubscribe-topic', async (req, res) => {
   }
 });
 
+// List outbox entries, optionally by status (pending, processing, sent)
+app.get('/outbox', authenticate, requireScope(SCOPES.MANAGE_OUTBOX), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+    if (status && !Object.values(STATUS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Expected one of: ${Object.values(STATUS).join(', ')}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const entries = await outbox.list({ status, limit });
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error listing outbox:', error);
+    res.status(500).json({
+      error: 'Failed to list outbox',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// List dead-lettered notifications, newest first
+app.get('/outbox/dead-letters', authenticate, requireScope(SCOPES.MANAGE_OUTBOX), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const entries = await outbox.listDeadLetters({ limit });
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({
+      error: 'Failed to list dead letters',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Inspect one outbox entry or dead letter
+app.get('/outbox/:id', authenticate, requireScope(SCOPES.MANAGE_OUTBOX), async (req, res) => {
+  try {
+    const entry = await outbox.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Outbox entry not found',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      success: true,
+      entry,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error reading outbox entry:', error);
+    res.status(500).json({
+      error: 'Failed to read outbox entry',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Move a dead letter back into the outbox and attempt it again
+app.post('/outbox/:id/replay', authenticate, requireScope(SCOPES.MANAGE_OUTBOX), async (req, res) => {
+  try {
+    const outcome = await outbox.replay(req.params.id, { replayedBy: requesterOf(req) });
+    if (!outcome) {
+      return res.status(404).json({
+        error: 'Dead letter not found',
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      success: outcome.status === STATUS.SENT,
+      outboxId: outcome.id,
+      status: outcome.status,
+      attempts: outcome.attempts,
+      error: outcome.error || null,
+      message: outcome.status === STATUS.SENT ? 'Notification replayed successfully' : 'Replay attempt failed',
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Error replaying dead letter:', error);
+    res.status(500).json({
+      error: 'Failed to replay dead letter',
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
 // Get server statistics
 app.get('/stats', async (req, res) => {
   try {
@@ -522,8 +744,10 @@ app.get('/stats', async (req, res) => {
       environment: NODE_ENV,
       timestamp: new Date().toISOString(),
       firebase: {
-        projectId: admin.app().options.projectId,
-        initialized: admin.app().options.credential !== undefined,
+        projectId: firebase.app.options.projectId,
+        initialized: true,
+        transport: firebase.transport,
+        emulators: firebase.emulators,
       },
     };
     
@@ -556,6 +780,57 @@ app.use('*', (req, res) => {
   });
 });
 
+// Identify the caller in notification logs
+function requesterOf(req) {
+  const principal = req.principal;
+  if (!principal) return null;
+  return principal.type === 'apiKey' ? `apiKey:${principal.keyId}` : principal.uid;
+}
+
+// Answer a send whose first attempt did not go through: 202 while the outbox
+// retries it, 500 once it is dead-lettered. `skippedUsers` are the recipients
+// left out before sending.
+async function respondNotSent(req, res, outcome, logData, skippedUsers = []) {
+  const queued = outcome.status === STATUS.PENDING;
+
+  await logNotification({
+    requestedBy: requesterOf(req),
+    ...logData,
+    status: queued ? 'queued' : 'failed',
+    outboxId: outcome.id,
+    attempts: outcome.attempts,
+    error: outcome.error,
+    timestamp: new Date(),
+  });
+
+  const response = outcome.result && outcome.result.messageId === undefined
+    ? { successCount: outcome.result.successCount, failureCount: outcome.result.failureCount }
+    : undefined;
+
+  if (queued) {
+    return res.status(202).json({
+      success: false,
+      queued: true,
+      outboxId: outcome.id,
+      response,
+      nextAttemptAt: outcome.nextAttemptAt.toISOString(),
+      skippedUsers,
+      details: outcome.error,
+      message: 'Notification queued for retry',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  return res.status(500).json({
+    error: 'Failed to send notification',
+    outboxId: outcome.id,
+    response,
+    skippedUsers,
+    details: outcome.error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
 // Log notification function
 async function logNotification(logData) {
   try {
@@ -563,8 +838,8 @@ async function logNotification(logData) {
     console.log('Notification Log:', JSON.stringify(logData, null, 2));
     
     // Example: Save to Firestore
-    if (admin.firestore) {
-      await admin.firestore().collection('notification_logs').add({
+    if (firebase.db) {
+      await firebase.db.collection('notification_logs').add({
         ...logData,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
@@ -575,24 +850,52 @@ async function logNotification(logData) {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+async function shutdown() {
+  if (limits.client && limits.client.isOpen) {
+    await limits.client.quit().catch(() => undefined);
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+// Serve, retry the outbox and handle signals, except under Jest
+// (NODE_ENV=test), where suites drive the exported app with supertest
+if (NODE_ENV !== 'test') {
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    shutdown();
+  });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 FCM Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${NODE_ENV}`);
-  console.log(`🔐 Firebase Project: ${admin.app().options.projectId}`);
-  console.log(`📊 Health Check: http://localhost:${PORT}/health`);
-  console.log(`📈 Detailed Health: http://localhost:${PORT}/health/detailed`);
-  console.log(`📊 Statistics: http://localhost:${PORT}/stats`);
-});
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, shutting down gracefully');
+    shutdown();
+  });
+
+  // Retry due outbox entries in the background
+  let outboxRunning = false;
+  setInterval(async () => {
+    if (outboxRunning) return;
+    outboxRunning = true;
+    try {
+      const summary = await outbox.processDue();
+      if (summary.sent + summary.retrying + summary.dead > 0) {
+        console.log('Outbox run:', summary);
+      }
+    } catch (error) {
+      console.error('Outbox run failed:', error);
+    } finally {
+      outboxRunning = false;
+    }
+  }, OUTBOX_POLL_INTERVAL_MS);
+
+  // Start server
+  app.listen(PORT, () => {
+    console.log(`🚀 FCM Server running on port ${PORT}`);
+    console.log(`🌍 Environment: ${NODE_ENV}`);
+    console.log(`🔐 Firebase Project: ${firebase.app.options.projectId}`);
+    console.log(`📊 Health Check: http://localhost:${PORT}/health`);
+    console.log(`📈 Detailed Health: http://localhost:${PORT}/health/detailed`);
+    console.log(`📊 Statistics: http://localhost:${PORT}/stats`);
+  });
+}
 
 module.exports = app;
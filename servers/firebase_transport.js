@@ -0,0 +1,200 @@
+// Firebase setup shared by the FCM servers, with a local development mode.
+//
+// FIREBASE_EMULATORS=1 (the default under NODE_ENV=test) points Firestore and
+// Auth at the emulators (`firebase emulators:start --only firestore,auth`), at
+// FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST when set. No service
+// account is needed then.
+//
+// FCM_TRANSPORT picks where messages go:
+//   fcm   Firebase Cloud Messaging (default)
+//   fake  an in-memory stand-in that records every message instead of sending
+//         it (default under NODE_ENV=test or with the emulators)
+//
+// Neither is allowed with NODE_ENV=production.
+
+const admin = require('firebase-admin');
+const fs = require('fs');
+const path = require('path');
+
+const TRANSPORTS = {
+  FCM: 'fcm',
+  FAKE: 'fake',
+};
+
+const DEFAULT_PROJECT_ID = 'soc-chat-app-ca57e';
+const EMULATOR_HOSTS = {
+  FIRESTORE_EMULATOR_HOST: '127.0.0.1:8085',
+  FIREBASE_AUTH_EMULATOR_HOST: '127.0.0.1:9099',
+};
+
+function fakeError(code, message) {
+  const error = new Error(message || `Fake messaging error: ${code}`);
+  error.code = code;
+  return error;
+}
+
+// In-memory replacement for admin.messaging(). Sent messages are kept in
+// `sent` in order; `failToken(token, code)` makes sends to a token fail with
+// an FCM error code, e.g. 'messaging/registration-token-not-registered' or the
+// transient 'messaging/unavailable'.
+function createFakeMessaging() {
+  const failures = new Map();
+  const topics = new Map();
+  let nextId = 1;
+
+  const messaging = {
+    sent: [],
+    topics,
+
+    failToken(token, code) {
+      failures.set(token, code);
+    },
+
+    reset() {
+      messaging.sent.length = 0;
+      failures.clear();
+      topics.clear();
+    },
+
+    async send(message, dryRun = false) {
+      if (message.token && failures.has(message.token)) {
+        throw fakeError(failures.get(message.token));
+      }
+      const messageId = `projects/${DEFAULT_PROJECT_ID}/messages/fake-${nextId++}`;
+      if (!dryRun) messaging.sent.push({ messageId, message, sentAt: new Date() });
+      return messageId;
+    },
+
+    async sendEach(messages, dryRun = false) {
+      const responses = [];
+      for (const message of messages) {
+        try {
+          responses.push({ success: true, messageId: await messaging.send(message, dryRun) });
+        } catch (error) {
+          responses.push({ success: false, error });
+        }
+      }
+      const successCount = responses.filter(response => response.success).length;
+      return { responses, successCount, failureCount: responses.length - successCount };
+    },
+
+    async sendEachForMulticast({ tokens, ...message }, dryRun = false) {
+      return messaging.sendEach(tokens.map(token => ({ ...message, token })), dryRun);
+    },
+
+    async sendMulticast(message, dryRun = false) {
+      return messaging.sendEachForMulticast(message, dryRun);
+    },
+
+    async subscribeToTopic(tokens, topic) {
+      return changeSubscriptions(tokens, topic, (members, token) => members.add(token));
+    },
+
+    async unsubscribeFromTopic(tokens, topic) {
+      return changeSubscriptions(tokens, topic, (members, token) => members.delete(token));
+    },
+  };
+
+  function changeSubscriptions(tokens, topic, change) {
+    const list = Array.isArray(tokens) ? tokens : [tokens];
+    const members = topics.get(topic) || new Set();
+    topics.set(topic, members);
+
+    const errors = [];
+    list.forEach((token, index) => {
+      if (failures.has(token)) {
+        errors.push({ index, error: fakeError(failures.get(token)) });
+      } else {
+        change(members, token);
+      }
+    });
+    return { successCount: list.length - errors.length, failureCount: errors.length, errors };
+  }
+
+  return messaging;
+}
+
+// On when asked for or when an emulator host is set; under NODE_ENV=test
+// unless FIREBASE_EMULATORS=0
+function useEmulators(env) {
+  const setting = String(env.FIREBASE_EMULATORS || '').toLowerCase();
+  if (['0', 'false'].includes(setting)) return false;
+  return ['1', 'true'].includes(setting)
+    || Boolean(env.FIRESTORE_EMULATOR_HOST || env.FIREBASE_AUTH_EMULATOR_HOST)
+    || env.NODE_ENV === 'test';
+}
+
+// Service account from FIREBASE_* variables in production, from a key file
+// otherwise
+function loadServiceAccount(env, serviceAccountFile) {
+  if (env.NODE_ENV === 'production') {
+    return {
+      type: env.FIREBASE_TYPE,
+      project_id: env.FIREBASE_PROJECT_ID,
+      private_key_id: env.FIREBASE_PRIVATE_KEY_ID,
+      private_key: env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+      client_email: env.FIREBASE_CLIENT_EMAIL,
+      client_id: env.FIREBASE_CLIENT_ID,
+      auth_uri: env.FIREBASE_AUTH_URI,
+      token_uri: env.FIREBASE_TOKEN_URI,
+      auth_provider_x509_cert_url: env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
+      client_x509_cert_url: env.FIREBASE_CLIENT_X509_CERT_URL,
+    };
+  }
+
+  const file = path.resolve(__dirname, env.GOOGLE_APPLICATION_CREDENTIALS || serviceAccountFile);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Service account file not found: ${file}. `
+      + 'Set FIREBASE_EMULATORS=1 to develop against the emulators instead.');
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Initialize firebase-admin and pick the messaging transport. Returns the
+// instances the servers use in place of admin.firestore() / auth() / messaging().
+function initializeFirebase({ env = process.env, serviceAccountFile } = {}) {
+  const emulators = useEmulators(env);
+  const transport = env.FCM_TRANSPORT || (emulators || env.NODE_ENV === 'test' ? TRANSPORTS.FAKE : TRANSPORTS.FCM);
+
+  if (!Object.values(TRANSPORTS).includes(transport)) {
+    throw new Error(`Unknown FCM_TRANSPORT: ${transport}`);
+  }
+  if (env.NODE_ENV === 'production' && (emulators || transport === TRANSPORTS.FAKE)) {
+    throw new Error('Emulators and the fake FCM transport are not allowed in production');
+  }
+
+  const projectId = env.FIREBASE_PROJECT_ID || DEFAULT_PROJECT_ID;
+  let app;
+  if (emulators) {
+    // firebase-admin talks to the emulators when these are set
+    for (const [name, host] of Object.entries(EMULATOR_HOSTS)) {
+      if (!env[name]) env[name] = host;
+      process.env[name] = env[name];
+    }
+    app = admin.initializeApp({ projectId });
+  } else {
+    app = admin.initializeApp({
+      credential: admin.credential.cert(loadServiceAccount(env, serviceAccountFile)),
+      projectId,
+      storageBucket: env.FIREBASE_STORAGE_BUCKET || `${projectId}.appspot.com`,
+    });
+  }
+
+  return {
+    app,
+    db: app.firestore(),
+    auth: app.auth(),
+    messaging: transport === TRANSPORTS.FAKE ? createFakeMessaging() : app.messaging(),
+    transport,
+    emulators: emulators
+      ? { firestore: env.FIRESTORE_EMULATOR_HOST, auth: env.FIREBASE_AUTH_EMULATOR_HOST }
+      : null,
+  };
+}
+
+module.exports = {
+  TRANSPORTS,
+  EMULATOR_HOSTS,
+  createFakeMessaging,
+  initializeFirebase,
+};
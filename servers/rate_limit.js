@@ -0,0 +1,194 @@
+// Rate limiting for the FCM server.
+//
+// Limits are counted in a store shared by every replica: Redis in production,
+// process memory in development. RATE_LIMIT_STORE picks the store:
+//   memory        express-rate-limit's MemoryStore (default outside production)
+//   redis         Redis at REDIS_URL, or REDIS_HOST / REDIS_PORT / REDIS_PASSWORD
+//   redis-memory  RedisStore backed by an in-process Redis stand-in, to exercise
+//                 the Redis code path without a Redis server
+//
+// Budgets:
+//   ip         every request, per client IP
+//   sends      every send route, per authenticated caller and route
+//   multicast  /send-multicast, per caller
+//   topic      /send-topic-notification, per caller
+
+const rateLimit = require('express-rate-limit');
+
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+// express-rate-limit store keeping fixed-window counters in Redis. `client` is
+// a connected node-redis v4 client, or anything with the same incr / decr /
+// pTTL / pExpire / del commands.
+class RedisStore {
+  constructor({ client, prefix = 'rl:' }) {
+    this.client = client;
+    this.prefix = prefix;
+    // Counters are shared between replicas
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const redisKey = this.prefix + key;
+    const totalHits = await this.client.incr(redisKey);
+
+    // A counter without a TTL is either new or was left behind by a crash
+    let ttl = await this.client.pTTL(redisKey);
+    if (ttl < 0) {
+      await this.client.pExpire(redisKey, this.windowMs);
+      ttl = this.windowMs;
+    }
+
+    return { totalHits, resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+// In-process stand-in for the Redis commands RedisStore uses
+function createMemoryRedisClient() {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function add(key, delta) {
+    const entry = live(key) || { value: 0, expiresAt: null };
+    entry.value += delta;
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  return {
+    isOpen: true,
+    async connect() {},
+    async quit() {},
+    on() {
+      return this;
+    },
+    async incr(key) {
+      return add(key, 1);
+    },
+    async decr(key) {
+      return add(key, -1);
+    },
+    async pTTL(key) {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    async pExpire(key, ms) {
+      const entry = live(key);
+      if (!entry) return false;
+      entry.expiresAt = Date.now() + ms;
+      return true;
+    },
+    async del(key) {
+      return entries.delete(key) ? 1 : 0;
+    },
+  };
+}
+
+function createRedisClient(env) {
+  const { createClient } = require('redis');
+  const client = createClient({
+    url: env.REDIS_URL || `redis://${env.REDIS_HOST || 'localhost'}:${env.REDIS_PORT || 6379}`,
+    password: env.REDIS_PASSWORD || undefined,
+  });
+
+  client.on('error', error => console.error('Redis error:', error.message));
+  client.connect().catch(error => console.error('Failed to connect to Redis:', error.message));
+  return client;
+}
+
+// Returns a factory creating one store per limiter; express-rate-limit
+// refuses to share a store between limiters
+function createStoreFactory(env = process.env) {
+  const kind = env.RATE_LIMIT_STORE || (env.NODE_ENV === 'production' ? 'redis' : 'memory');
+
+  if (kind === 'memory') {
+    return { kind, client: null, createStore: () => undefined };
+  }
+
+  let client;
+  if (kind === 'redis') {
+    client = createRedisClient(env);
+  } else if (kind === 'redis-memory') {
+    client = createMemoryRedisClient();
+  } else {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${kind}`);
+  }
+
+  return {
+    kind,
+    client,
+    createStore: name => new RedisStore({ client, prefix: `rl:${name}:` }),
+  };
+}
+
+// Rate-limited callers are identified by who they are, not where they connect from
+function callerKey(req) {
+  const principal = req.principal;
+  if (!principal) return `ip:${req.ip}`;
+  return principal.type === 'apiKey' ? `apiKey:${principal.keyId}` : `user:${principal.uid}`;
+}
+
+function limitExceeded(req, res, next, options) {
+  const retryAfter = Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+  res.status(options.statusCode).json({
+    error: 'Too many requests, please try again later.',
+    limit: req.rateLimit.limit,
+    retryAfter,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function createLimiters(env = process.env) {
+  const stores = createStoreFactory(env);
+  const windowMs = Number(env.RATE_LIMIT_WINDOW_MS) || DEFAULT_WINDOW_MS;
+
+  const limiter = (name, max, keyGenerator) => rateLimit({
+    windowMs,
+    limit: max,
+    keyGenerator,
+    store: stores.createStore(name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: limitExceeded,
+    // An unreachable Redis must not take the whole API down
+    passOnStoreError: true,
+  });
+
+  return {
+    store: stores.kind,
+    client: stores.client,
+    ip: limiter('ip', Number(env.RATE_LIMIT_MAX_REQUESTS) || 100),
+    sends: limiter('sends', Number(env.RATE_LIMIT_USER_MAX_REQUESTS) || 60,
+      req => `${callerKey(req)}:${req.path}`),
+    multicast: limiter('multicast', Number(env.RATE_LIMIT_MULTICAST_MAX_REQUESTS) || 10, callerKey),
+    topic: limiter('topic', Number(env.RATE_LIMIT_TOPIC_MAX_REQUESTS) || 5, callerKey),
+  };
+}
+
+module.exports = {
+  RedisStore,
+  createLimiters,
+  createMemoryRedisClient,
+  createStoreFactory,
+};
@@ -1,41 +1,208 @@
+// SOC Chat App - Portable Server
+//
+// Serves the Flutter web build. Every option can be given as a flag or an
+// environment variable:
+//
+//   --port <n>          PORT          port to listen on (8080)
+//   --host <addr>       HOST          address to bind (0.0.0.0, every interface)
+//   --build-dir <dir>   BUILD_DIR     web build to serve (./build/web next to this file)
+//   --tls-cert <file>   TLS_CERT      certificate and key for HTTPS; browsers only
+//   --tls-key <file>    TLS_KEY       allow service workers and the microphone on
+//                                     non-localhost origins over HTTPS
+//   --no-open           NO_OPEN=1     don't open the browser on start
+//   --no-compression    NO_COMPRESSION=1
+//                                     serve uncompressed (brotli/gzip otherwise)
+//   --print-qr          PRINT_QR=1    print the LAN address as a QR code for phones
+//   --help
+
+const compression = require('compression');
 const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const path = require('path');
-const app = express();
-const PORT = 8080;
-
-// Serve static files from the web build directory
-app.use(express.static(path.join(__dirname, 'build', 'web')));
-
-// Handle all routes by serving index.html (for SPA)
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'build', 'web', 'index.html'));
-});
-
-// Start the server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log('========================================');
-    console.log('  SOC Chat App - Portable Server');
-    console.log('========================================');
-    console.log('');
-    console.log(`🚀 App is running at:`);
-    console.log(`   Local: http://localhost:${PORT}`);
-    console.log(`   Network: http://0.0.0.0:${PORT}`);
-    console.log('');
-    console.log('Press Ctrl+C to stop the server');
-    console.log('');
-    
-    // Auto-open browser
-    const { exec } = require('child_process');
-    exec(`start http://localhost:${PORT}`, (error) => {
-        if (error) {
-            console.log('Please open your browser and navigate to:');
-            console.log(`http://localhost:${PORT}`);
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const { PRECACHE_MANIFEST, createWebShell } = require('./web_shell');
+
+const USAGE = `Usage: node server.js [--port 8080] [--host 0.0.0.0] [--build-dir ./build/web]
+                      [--tls-cert cert.pem --tls-key key.pem] [--no-open]
+                      [--no-compression] [--print-qr]`;
+
+function isSet(value) {
+    return value !== undefined && value !== '' && value !== '0' && value.toLowerCase() !== 'false';
+}
+
+function loadOptions(argv = process.argv.slice(2), env = process.env) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' },
+            'build-dir': { type: 'string' },
+            'tls-cert': { type: 'string' },
+            'tls-key': { type: 'string' },
+            'no-open': { type: 'boolean' },
+            'no-compression': { type: 'boolean' },
+            'print-qr': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+
+    const options = {
+        port: Number(values.port || env.PORT || 8080),
+        host: values.host || env.HOST || '0.0.0.0',
+        buildDir: path.resolve(values['build-dir'] || env.BUILD_DIR || path.join(__dirname, 'build', 'web')),
+        tlsCert: values['tls-cert'] || env.TLS_CERT,
+        tlsKey: values['tls-key'] || env.TLS_KEY,
+        open: !values['no-open'] && !isSet(env.NO_OPEN),
+        compression: !values['no-compression'] && !isSet(env.NO_COMPRESSION),
+        printQr: Boolean(values['print-qr']) || isSet(env.PRINT_QR),
+        help: Boolean(values.help),
+    };
+
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error(`Invalid port: ${values.port || env.PORT}`);
+    }
+    if (Boolean(options.tlsCert) !== Boolean(options.tlsKey)) {
+        throw new Error('--tls-cert and --tls-key must be given together');
+    }
+    return options;
+}
+
+// IPv4 addresses other devices on the network can reach
+function lanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+function openBrowser(url) {
+    const [command, args] = process.platform === 'win32'
+        ? ['cmd', ['/c', 'start', '', url]]
+        : [process.platform === 'darwin' ? 'open' : 'xdg-open', [url]];
+
+    const child = spawn(command, args, { detached: true, stdio: 'ignore', windowsHide: true });
+    child.on('error', () => {
+        console.log('Please open your browser and navigate to:');
+        console.log(url);
+    });
+    child.unref();
+}
+
+function printQr(url) {
+    require('qrcode-terminal').generate(url, { small: true }, qr => {
+        console.log(`📱 Scan to open ${url} on your phone:`);
+        console.log(qr);
+    });
+}
+
+function createApp(options) {
+    const app = express();
+    const webShell = createWebShell({ root: options.buildDir });
+
+    if (options.compression) {
+        // Brotli when the browser accepts it, gzip otherwise
+        app.use(compression());
+    }
+
+    // File list and version for the app shell service worker's precache
+    app.get(`/${PRECACHE_MANIFEST}`, webShell.precacheManifest);
+
+    // Serve static files from the web build directory, with cache headers and ETags
+    app.use(webShell.serveStatic);
+
+    // Handle all routes by serving index.html (for SPA)
+    app.get('*', webShell.appShell);
+
+    return app;
+}
+
+function start(options) {
+    if (!fs.existsSync(path.join(options.buildDir, 'index.html'))) {
+        console.error(`❌ Web build not found in ${options.buildDir}`);
+        console.error('   Run `flutter build web` first, or pass --build-dir');
+        process.exit(1);
+    }
+
+    const app = createApp(options);
+    const secure = Boolean(options.tlsCert);
+    const server = secure
+        ? https.createServer({ cert: fs.readFileSync(options.tlsCert), key: fs.readFileSync(options.tlsKey) }, app)
+        : http.createServer(app);
+
+    server.on('error', error => {
+        if (error.code === 'EADDRINUSE') {
+            console.error(`❌ Port ${options.port} is already in use; pass another one with --port`);
+        } else {
+            console.error('❌ Server error:', error.message);
+        }
+        process.exit(1);
+    });
+
+    server.listen(options.port, options.host, () => {
+        const scheme = secure ? 'https' : 'http';
+        const port = server.address().port;
+        const localUrl = `${scheme}://localhost:${port}`;
+        const everyInterface = options.host === '0.0.0.0' || options.host === '::';
+        const networkUrls = everyInterface
+            ? lanAddresses().map(address => `${scheme}://${address}:${port}`)
+            : [`${scheme}://${options.host}:${port}`];
+
+        console.log('========================================');
+        console.log('  SOC Chat App - Portable Server');
+        console.log('========================================');
+        console.log('');
+        console.log(`🚀 App is running at:`);
+        console.log(`   Local: ${localUrl}`);
+        networkUrls.forEach(url => console.log(`   Network: ${url}`));
+        console.log(`   Serving: ${options.buildDir}`);
+        if (!secure && networkUrls.length > 0) {
+            console.log('');
+            console.log('   Other devices need HTTPS (--tls-cert/--tls-key) for notifications,');
+            console.log('   offline mode and the microphone');
         }
+        console.log('');
+        console.log('Press Ctrl+C to stop the server');
+        console.log('');
+
+        if (options.printQr && networkUrls.length > 0) printQr(networkUrls[0]);
+
+        // Auto-open browser
+        if (options.open) openBrowser(localUrl);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = loadOptions();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    start(options);
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down SOC Chat App...');
+        process.exit(0);
     });
-});
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down SOC Chat App...');
-    process.exit(0);
-});
+module.exports = {
+    createApp,
+    loadOptions,
+    start,
+};
@@ -0,0 +1,105 @@
+// Load fcm_server_production.js for a suite without touching Firebase: the
+// fake FCM transport records messages, Firestore is ./fake_firestore and ID
+// tokens are `idToken(uid)`. `env` is applied before the app is required, so
+// rate limits and outbox settings can be tuned per suite.
+
+const jwt = require('jsonwebtoken');
+const { FakeFirestore } = require('./fake_firestore');
+
+const API_KEY_SECRET = 'test-api-key-secret';
+const ID_TOKEN_PREFIX = 'test-id-token:';
+
+function idToken(uid) {
+  return `${ID_TOKEN_PREFIX}${uid}`;
+}
+
+function createFakeAuth() {
+  return {
+    async verifyIdToken(token) {
+      if (!token.startsWith(ID_TOKEN_PREFIX)) {
+        const error = new Error('Decoding Firebase ID token failed');
+        error.code = 'auth/argument-error';
+        throw error;
+      }
+      return { uid: token.slice(ID_TOKEN_PREFIX.length) };
+    },
+  };
+}
+
+// A registration token as long as real ones, which /send-notification expects
+function fcmToken(name) {
+  return `${name}:${'x'.repeat(140)}`;
+}
+
+function loadApp(env = {}) {
+  jest.resetModules();
+  // The server logs every request and send; keep the test output readable
+  for (const level of ['log', 'warn', 'error']) {
+    jest.spyOn(console, level).mockImplementation(() => undefined);
+  }
+  Object.assign(process.env, { API_KEY_SECRET, OUTBOX_MAX_ATTEMPTS: '', ...env });
+
+  const db = new FakeFirestore();
+  jest.doMock('../../firebase_transport', () => {
+    const actual = jest.requireActual('../../firebase_transport');
+    return {
+      ...actual,
+      initializeFirebase: () => ({
+        app: { options: { projectId: 'demo-test' } },
+        db,
+        auth: createFakeAuth(),
+        messaging: actual.createFakeMessaging(),
+        transport: actual.TRANSPORTS.FAKE,
+        emulators: null,
+      }),
+    };
+  });
+
+  const app = require('../../fcm_server_production');
+  const { API_KEY_ISSUER } = require('../../auth_middleware');
+
+  return {
+    app,
+    db,
+    messaging: app.locals.firebase.messaging,
+    // Mint an API key as create_api_key.js does
+    apiKey(keyId, scopes) {
+      return jwt.sign({ scopes }, API_KEY_SECRET, {
+        algorithm: 'HS256',
+        issuer: API_KEY_ISSUER,
+        subject: `test-${keyId}`,
+        jwtid: keyId,
+      });
+    },
+  };
+}
+
+// alice shares a chat with bob and is friends with carol; dave is a stranger
+// to her and erin has blocked her. Each has one device, `fcmToken(uid)`.
+function seedUsers(db) {
+  const users = {
+    admin: { role: 'admin' },
+    alice: {},
+    bob: {},
+    carol: {},
+    dave: {},
+    erin: { blockedUsers: ['alice'] },
+  };
+  for (const [uid, data] of Object.entries(users)) {
+    db.seed({
+      [`users/${uid}`]: { name: uid, ...data },
+      [`users/${uid}/fcm_tokens/${uid}-phone`]: { token: fcmToken(uid), platform: 'android' },
+    });
+  }
+  db.seed({
+    'users/alice/friends/carol': { since: new Date() },
+    'chats/alice-bob': { members: ['alice', 'bob'] },
+  });
+}
+
+module.exports = {
+  fcmToken,
+  idToken,
+  loadApp,
+  seedUsers,
+};
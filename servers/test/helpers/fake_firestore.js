@@ -0,0 +1,396 @@
+// In-memory stand-in for the parts of firebase-admin's Firestore the servers
+// use: documents and subcollections, queries (where / orderBy / limit,
+// collection groups), getAll, transactions, batches and the FieldValue
+// sentinels. Transactions run one at a time and apply their writes at the end.
+
+const crypto = require('crypto');
+
+function autoId() {
+  return crypto.randomBytes(10).toString('hex');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+function sentinelOf(value) {
+  return value && typeof value === 'object' && typeof value.methodName === 'string'
+    && value.methodName.startsWith('FieldValue.')
+    ? value.methodName
+    : null;
+}
+
+function getField(data, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Apply one field write, resolving FieldValue sentinels against the current value
+function setField(data, field, value) {
+  const keys = field.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  const last = keys[keys.length - 1];
+
+  switch (sentinelOf(value)) {
+    case 'FieldValue.delete':
+      delete target[last];
+      return;
+    case 'FieldValue.serverTimestamp':
+      target[last] = new Date();
+      return;
+    case 'FieldValue.increment':
+      target[last] = (Number(target[last]) || 0) + value.operand;
+      return;
+    case 'FieldValue.arrayUnion': {
+      const current = Array.isArray(target[last]) ? target[last] : [];
+      target[last] = [...current, ...value.elements.filter(item => !current.includes(item))];
+      return;
+    }
+    case 'FieldValue.arrayRemove': {
+      const current = Array.isArray(target[last]) ? target[last] : [];
+      target[last] = current.filter(item => !value.elements.includes(item));
+      return;
+    }
+    default:
+      if (isPlainObject(value)) {
+        target[last] = {};
+        for (const [key, item] of Object.entries(value)) setField(target[last], key, item);
+      } else {
+        target[last] = clone(value);
+      }
+  }
+}
+
+// set(..., { merge: true }) merges nested maps instead of replacing them
+function mergeInto(data, value) {
+  for (const [key, item] of Object.entries(value)) {
+    if (isPlainObject(item) && !sentinelOf(item) && isPlainObject(data[key])) {
+      mergeInto(data[key], item);
+    } else {
+      setField(data, key, item);
+    }
+  }
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  return value;
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+}
+
+function equal(a, b) {
+  return compare(a, b) === 0;
+}
+
+function matches(actual, op, value) {
+  if (actual === undefined) return false;
+  switch (op) {
+    case '==': return equal(actual, value);
+    case '!=': return actual !== null && !equal(actual, value);
+    case '<': return compare(actual, value) < 0;
+    case '<=': return compare(actual, value) <= 0;
+    case '>': return compare(actual, value) > 0;
+    case '>=': return compare(actual, value) >= 0;
+    case 'in': return value.some(item => equal(actual, item));
+    case 'not-in': return !value.some(item => equal(actual, item));
+    case 'array-contains': return Array.isArray(actual) && actual.some(item => equal(item, value));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => value.some(other => equal(item, other)));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function notFound(path) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+}
+
+class DocumentSnapshot {
+  constructor(ref, data, createTime) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this.createTime = createTime ? { toMillis: () => createTime.getTime() } : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(db, { collectionPath = null, groupId = null, filters = [], orders = [], limitCount = null }) {
+    this.firestore = db;
+    this._spec = { collectionPath, groupId, filters, orders, limitCount };
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, { ...this._spec, ...changes });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._spec.orders, { field: String(field), direction }] });
+  }
+
+  limit(limitCount) {
+    return this._with({ limitCount });
+  }
+
+  _run() {
+    const { collectionPath, groupId, filters, orders, limitCount } = this._spec;
+    let docs = [...this.firestore._docs.entries()]
+      .filter(([path]) => {
+        const parent = path.slice(0, path.lastIndexOf('/'));
+        return groupId ? parent.split('/').pop() === groupId : parent === collectionPath;
+      })
+      .filter(([, entry]) => filters.every(({ field, op, value }) => matches(getField(entry.data, field), op, value)))
+      .map(([path, entry]) => new DocumentSnapshot(this.firestore.doc(path), entry.data, entry.createTime));
+
+    // Like Firestore, ordering on a field leaves out documents without it
+    for (const { field } of orders) {
+      if (field !== '__name__') docs = docs.filter(doc => getField(doc._data, field) !== undefined);
+    }
+    docs.sort((a, b) => {
+      for (const { field, direction } of orders) {
+        const result = field === '__name__'
+          ? compare(a.ref.path, b.ref.path)
+          : compare(getField(a._data, field), getField(b._data, field));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return compare(a.ref.path, b.ref.path);
+    });
+
+    return new QuerySnapshot(limitCount === null ? docs : docs.slice(0, limitCount));
+  }
+
+  async get() {
+    return this._run();
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, { collectionPath: path });
+    this.path = path;
+    this.id = path.split('/').pop();
+    const parentPath = path.slice(0, Math.max(path.lastIndexOf('/'), 0));
+    this.parent = parentPath ? db.doc(parentPath) : null;
+  }
+
+  doc(id = autoId()) {
+    return this.firestore.doc(`${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.firestore = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+    this.parent = db.collection(path.slice(0, path.lastIndexOf('/')));
+  }
+
+  collection(name) {
+    return this.firestore.collection(`${this.path}/${name}`);
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+
+  async get() {
+    return this.firestore._snapshot(this.path);
+  }
+
+  async set(data, options) {
+    this.firestore._set(this.path, data, options);
+  }
+
+  async create(data) {
+    this.firestore._create(this.path, data);
+  }
+
+  async update(data) {
+    this.firestore._update(this.path, data);
+  }
+
+  async delete() {
+    this.firestore._docs.delete(this.path);
+  }
+}
+
+class WriteBatch {
+  constructor(db) {
+    this.firestore = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options) {
+    this._writes.push(() => this.firestore._set(ref.path, data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => this.firestore._create(ref.path, data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this.firestore._update(ref.path, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this.firestore._docs.delete(ref.path));
+    return this;
+  }
+
+  async commit() {
+    this._writes.forEach(write => write());
+    return [];
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery instanceof DocumentReference
+      ? this.firestore._snapshot(refOrQuery.path)
+      : refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this.firestore._snapshot(ref.path));
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this._docs = new Map();
+    this._transactionQueue = Promise.resolve();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  collectionGroup(groupId) {
+    return new Query(this, { groupId });
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref.path));
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    });
+    this._transactionQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  // Test helpers: seed or read documents by path
+  seed(documents) {
+    for (const [path, data] of Object.entries(documents)) this._set(path, data);
+  }
+
+  read(path) {
+    const entry = this._docs.get(path);
+    return entry ? clone(entry.data) : undefined;
+  }
+
+  reset() {
+    this._docs.clear();
+  }
+
+  _snapshot(path) {
+    const entry = this._docs.get(path);
+    return new DocumentSnapshot(this.doc(path), entry && entry.data, entry && entry.createTime);
+  }
+
+  _set(path, data, { merge = false } = {}) {
+    const existing = this._docs.get(path);
+    const next = merge && existing ? existing.data : {};
+    if (merge) mergeInto(next, data);
+    else for (const [key, value] of Object.entries(data)) setField(next, key, value);
+    this._docs.set(path, { data: next, createTime: existing ? existing.createTime : new Date() });
+  }
+
+  _create(path, data) {
+    if (this._docs.has(path)) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`);
+      error.code = 6;
+      throw error;
+    }
+    this._set(path, data);
+  }
+
+  _update(path, data) {
+    const existing = this._docs.get(path);
+    if (!existing) throw notFound(path);
+    for (const [field, value] of Object.entries(data)) setField(existing.data, field, value);
+  }
+}
+
+module.exports = {
+  FakeFirestore,
+};
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const { createDispatcher, outbox: { DEAD_LETTER_COLLECTION, OUTBOX_COLLECTION, createOutbox } } = require('../../functions/notifications');
+const { fcmToken, idToken, loadApp, seedUsers } = require('./helpers/app');
+
+const notification = { title: 'Hello', body: 'From the tests' };
+const quiet = { log() {}, warn() {}, error() {} };
+
+// The server's background worker: retry whatever is due in the outbox
+function processDue(server) {
+  const dispatcher = createDispatcher({ db: server.db, messaging: server.messaging, logger: quiet });
+  return createOutbox({ db: server.db, dispatcher, logger: quiet }).processDue();
+}
+
+// Make a queued entry due now instead of after its backoff
+function makeDue(server, id) {
+  return server.db.collection(OUTBOX_COLLECTION).doc(id).update({ nextAttemptAt: new Date(0) });
+}
+
+function sendAs(server, uid, path, body) {
+  return request(server.app)
+    .post(path)
+    .set('Authorization', `Bearer ${idToken(uid)}`)
+    .send({ ...notification, ...body });
+}
+
+describe('outbox', () => {
+  let server;
+
+  beforeEach(() => {
+    server = loadApp();
+    seedUsers(server.db);
+  });
+
+  test('a transient failure is queued with 202 and retried by the worker', async () => {
+    server.messaging.failToken(fcmToken('bob'), 'messaging/unavailable');
+
+    const res = await sendAs(server, 'alice', '/send-notification', { token: fcmToken('bob') }).expect(202);
+    expect(res.body).toMatchObject({ success: false, queued: true, details: 'messaging/unavailable' });
+    expect(server.db.read(`${OUTBOX_COLLECTION}/${res.body.outboxId}`)).toMatchObject({ status: 'pending', attempts: 1 });
+
+    server.messaging.reset();
+    await makeDue(server, res.body.outboxId);
+    expect(await processDue(server)).toMatchObject({ sent: 1, retrying: 0, dead: 0 });
+
+    expect(server.messaging.sent.map(sent => sent.message.token)).toEqual([fcmToken('bob')]);
+    expect(server.db.read(`${OUTBOX_COLLECTION}/${res.body.outboxId}`)).toMatchObject({ status: 'sent', attempts: 2 });
+  });
+
+  test('only the devices that failed transiently are retried', async () => {
+    server.db.seed({ 'users/bob/fcm_tokens/bob-tablet': { token: fcmToken('bob-tablet'), platform: 'ios' } });
+    server.messaging.failToken(fcmToken('bob-tablet'), 'messaging/unavailable');
+
+    const res = await sendAs(server, 'alice', '/send-to-users', { userIds: ['bob'] }).expect(202);
+    expect(res.body.response).toEqual({ successCount: 1, failureCount: 1 });
+    expect(server.db.read(`${OUTBOX_COLLECTION}/${res.body.outboxId}`).options)
+      .toEqual({ senderId: 'alice', onlyTokens: [fcmToken('bob-tablet')] });
+
+    server.messaging.reset();
+    await makeDue(server, res.body.outboxId);
+    await processDue(server);
+
+    expect(server.messaging.sent.map(sent => sent.message.token)).toEqual([fcmToken('bob-tablet')]);
+  });
+
+  test('a permanent failure is dead-lettered with 500 and can be replayed by an admin', async () => {
+    server.messaging.failToken(fcmToken('bob'), 'messaging/invalid-argument');
+
+    const res = await sendAs(server, 'alice', '/send-notification', { token: fcmToken('bob') }).expect(500);
+    expect(res.body.details).toBe('messaging/invalid-argument');
+    expect(server.db.read(`${OUTBOX_COLLECTION}/${res.body.outboxId}`)).toBeUndefined();
+    expect(server.db.read(`${DEAD_LETTER_COLLECTION}/${res.body.outboxId}`))
+      .toMatchObject({ status: 'dead', attempts: 1, lastError: 'messaging/invalid-argument' });
+
+    const deadLetters = await request(server.app)
+      .get('/outbox/dead-letters')
+      .set('Authorization', `Bearer ${idToken('admin')}`)
+      .expect(200);
+    expect(deadLetters.body.entries.map(entry => entry.id)).toEqual([res.body.outboxId]);
+
+    await request(server.app)
+      .post(`/outbox/${res.body.outboxId}/replay`)
+      .set('Authorization', `Bearer ${idToken('alice')}`)
+      .expect(403);
+
+    server.messaging.reset();
+    const replay = await request(server.app)
+      .post(`/outbox/${res.body.outboxId}/replay`)
+      .set('Authorization', `Bearer ${idToken('admin')}`)
+      .expect(200);
+
+    expect(replay.body).toMatchObject({ success: true, status: 'sent', attempts: 1 });
+    expect(server.db.read(`${OUTBOX_COLLECTION}/${res.body.outboxId}`)).toMatchObject({ replayCount: 1, replayedBy: 'admin' });
+    expect(server.db.read(`${DEAD_LETTER_COLLECTION}/${res.body.outboxId}`)).toBeUndefined();
+  });
+
+  test('entries are dead-lettered after OUTBOX_MAX_ATTEMPTS', async () => {
+    server = loadApp({ OUTBOX_MAX_ATTEMPTS: '2' });
+    seedUsers(server.db);
+    server.messaging.failToken(fcmToken('bob'), 'messaging/unavailable');
+
+    const res = await sendAs(server, 'alice', '/send-notification', { token: fcmToken('bob') }).expect(202);
+    await makeDue(server, res.body.outboxId);
+    expect(await processDue(server)).toMatchObject({ sent: 0, retrying: 0, dead: 1 });
+
+    expect(server.db.read(`${DEAD_LETTER_COLLECTION}/${res.body.outboxId}`))
+      .toMatchObject({ attempts: 2, maxAttempts: 2, lastError: 'messaging/unavailable' });
+  });
+});
+
+describe('token pruning', () => {
+  let server;
+
+  beforeEach(() => {
+    server = loadApp();
+    seedUsers(server.db);
+  });
+
+  test('tokens FCM no longer knows are removed from the registry', async () => {
+    server.db.seed({ 'users/bob/fcm_tokens/bob-old-phone': { token: fcmToken('bob-old-phone'), platform: 'android' } });
+    server.messaging.failToken(fcmToken('bob-old-phone'), 'messaging/registration-token-not-registered');
+
+    const res = await sendAs(server, 'alice', '/send-to-users', { userIds: ['bob'] }).expect(200);
+
+    expect(res.body.response).toEqual({ deviceCount: 2, successCount: 1, failureCount: 1, prunedTokens: 1 });
+    expect(server.db.read('users/bob/fcm_tokens/bob-old-phone')).toBeUndefined();
+    expect(server.db.read('users/bob/fcm_tokens/bob-phone')).toBeDefined();
+  });
+
+  test('an invalid legacy fcmToken field is cleared', async () => {
+    server.db.seed({ 'users/bob': { name: 'bob', fcmToken: fcmToken('bob-legacy') } });
+    server.messaging.failToken(fcmToken('bob-legacy'), 'messaging/invalid-registration-token');
+
+    const res = await sendAs(server, 'alice', '/send-to-users', { userIds: ['bob'] }).expect(200);
+
+    expect(res.body.response.prunedTokens).toBe(1);
+    expect(server.db.read('users/bob').fcmToken).toBeNull();
+  });
+
+  test('transient failures do not prune', async () => {
+    server.messaging.failToken(fcmToken('bob'), 'messaging/unavailable');
+
+    await sendAs(server, 'alice', '/send-to-users', { userIds: ['bob'] }).expect(202);
+
+    expect(server.db.read('users/bob/fcm_tokens/bob-phone')).toBeDefined();
+  });
+});
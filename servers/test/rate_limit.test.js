@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { RedisStore, createMemoryRedisClient, createStoreFactory } = require('../rate_limit');
+const { fcmToken, idToken, loadApp, seedUsers } = require('./helpers/app');
+
+describe('RedisStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    store = new RedisStore({ client: createMemoryRedisClient() });
+    store.init({ windowMs: 60 * 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts hits in a fixed window', async () => {
+    expect(await store.increment('alice')).toEqual({ totalHits: 1, resetTime: new Date('2026-01-01T00:01:00Z') });
+
+    jest.advanceTimersByTime(20 * 1000);
+    expect(await store.increment('alice')).toEqual({ totalHits: 2, resetTime: new Date('2026-01-01T00:01:00Z') });
+    expect((await store.increment('bob')).totalHits).toBe(1);
+  });
+
+  test('starts over once the window has passed', async () => {
+    await store.increment('alice');
+    await store.increment('alice');
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(await store.increment('alice')).toEqual({ totalHits: 1, resetTime: new Date('2026-01-01T00:02:00Z') });
+  });
+
+  test('decrements and resets keys', async () => {
+    await store.increment('alice');
+    await store.increment('alice');
+    await store.decrement('alice');
+    expect((await store.increment('alice')).totalHits).toBe(2);
+
+    await store.resetKey('alice');
+    expect((await store.increment('alice')).totalHits).toBe(1);
+  });
+
+  test('gives a counter left without a TTL a fresh window', async () => {
+    const client = createMemoryRedisClient();
+    store = new RedisStore({ client, prefix: 'test:' });
+    store.init({ windowMs: 60 * 1000 });
+    await client.incr('test:alice');
+
+    expect(await store.increment('alice')).toEqual({ totalHits: 2, resetTime: new Date('2026-01-01T00:01:00Z') });
+    expect(await client.pTTL('test:alice')).toBe(60 * 1000);
+  });
+});
+
+describe('createStoreFactory', () => {
+  test('picks the store from RATE_LIMIT_STORE', () => {
+    expect(createStoreFactory({}).kind).toBe('memory');
+    expect(createStoreFactory({}).createStore('ip')).toBeUndefined();
+
+    const stores = createStoreFactory({ RATE_LIMIT_STORE: 'redis-memory' });
+    expect(stores.kind).toBe('redis-memory');
+    expect(stores.createStore('ip')).toBeInstanceOf(RedisStore);
+    expect(stores.createStore('ip').prefix).toBe('rl:ip:');
+
+    expect(() => createStoreFactory({ RATE_LIMIT_STORE: 'memcached' })).toThrow('Unknown RATE_LIMIT_STORE: memcached');
+  });
+});
+
+describe.each(['memory', 'redis-memory'])('rate limits with the %s store', (store) => {
+  const notification = { title: 'Hello', body: 'From the tests' };
+
+  function sendAs(server, uid) {
+    return request(server.app)
+      .post('/send-notification')
+      .set('Authorization', `Bearer ${idToken(uid)}`)
+      .send({ token: fcmToken('bob'), ...notification });
+  }
+
+  test('requests over the per-IP budget get 429 with Retry-After', async () => {
+    const server = loadApp({
+      RATE_LIMIT_STORE: store,
+      RATE_LIMIT_WINDOW_MS: '60000',
+      RATE_LIMIT_MAX_REQUESTS: '2',
+      RATE_LIMIT_USER_MAX_REQUESTS: '',
+    });
+
+    await request(server.app).get('/health').expect(200);
+    await request(server.app).get('/health').expect(200);
+    const res = await request(server.app).get('/health').expect(429);
+
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(res.body).toMatchObject({ error: 'Too many requests, please try again later.', limit: 2 });
+    expect(res.body.retryAfter).toBe(Number(res.headers['retry-after']));
+  });
+
+  test('sends are limited per caller', async () => {
+    const server = loadApp({
+      RATE_LIMIT_STORE: store,
+      RATE_LIMIT_WINDOW_MS: '60000',
+      RATE_LIMIT_MAX_REQUESTS: '',
+      RATE_LIMIT_USER_MAX_REQUESTS: '2',
+    });
+    seedUsers(server.db);
+    server.db.seed({ 'chats/carol-bob': { members: ['carol', 'bob'] } });
+
+    await sendAs(server, 'alice').expect(200);
+    const limited = await sendAs(server, 'alice').expect(200);
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+
+    const res = await sendAs(server, 'alice').expect(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.body.limit).toBe(2);
+
+    // Another user behind the same IP keeps their own budget
+    await sendAs(server, 'carol').expect(200);
+    expect(server.messaging.sent).toHaveLength(3);
+  });
+});
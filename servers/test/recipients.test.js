@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { createDispatcher, outbox: { createOutbox } } = require('../../functions/notifications');
+const { fcmToken, idToken, loadApp, seedUsers } = require('./helpers/app');
+
+const notification = { title: 'Hello', body: 'From the tests' };
+const quiet = { log() {}, warn() {}, error() {} };
+
+describe('recipient filtering', () => {
+  let server;
+
+  beforeEach(() => {
+    server = loadApp();
+    seedUsers(server.db);
+  });
+
+  function sendAs(uid, path, body) {
+    return request(server.app)
+      .post(path)
+      .set('Authorization', `Bearer ${idToken(uid)}`)
+      .send({ ...notification, ...body });
+  }
+
+  const sentTokens = () => server.messaging.sent.map(sent => sent.message.token);
+
+  test('/send-to-users reaches chat partners and friends and reports the others', async () => {
+    const res = await sendAs('alice', '/send-to-users', { userIds: ['bob', 'carol', 'dave', 'erin'] }).expect(200);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.skippedUsers).toEqual(expect.arrayContaining([
+      { userId: 'erin', reason: 'blocked_sender' },
+      { userId: 'dave', reason: 'not_connected' },
+    ]));
+    expect(res.body.skippedUsers).toHaveLength(2);
+    expect(sentTokens().sort()).toEqual([fcmToken('bob'), fcmToken('carol')]);
+  });
+
+  test('/send-to-users answers success: false when nobody can be notified', async () => {
+    const res = await sendAs('alice', '/send-to-users', { userIds: ['erin'] }).expect(200);
+
+    expect(res.body).toMatchObject({ success: false, skippedUsers: [{ userId: 'erin', reason: 'blocked_sender' }] });
+    expect(sentTokens()).toEqual([]);
+  });
+
+  test('blocks apply to admins, who need no connection', async () => {
+    server.db.seed({ 'users/admin/blocked/alice': {}, 'users/dave/blocked/admin': {} });
+
+    const res = await sendAs('admin', '/send-to-users', { userIds: ['bob', 'dave'] }).expect(200);
+
+    expect(res.body.skippedUsers).toEqual([{ userId: 'dave', reason: 'blocked_sender' }]);
+    expect(sentTokens()).toEqual([fcmToken('bob')]);
+  });
+
+  test('/send-notification treats the token as its owner', async () => {
+    await sendAs('alice', '/send-notification', { token: fcmToken('carol') }).expect(200);
+
+    const blocked = await sendAs('alice', '/send-notification', { token: fcmToken('erin') }).expect(200);
+    expect(blocked.body).toMatchObject({ success: false, skippedUsers: [{ userId: 'erin', reason: 'blocked_sender' }] });
+
+    await sendAs('alice', '/send-notification', { token: fcmToken('dave') }).expect(403);
+    await sendAs('alice', '/send-notification', { token: fcmToken('unknown-device') }).expect(403);
+
+    expect(sentTokens()).toEqual([fcmToken('carol')]);
+  });
+
+  test('/send-multicast leaves out devices of blocking and unconnected owners', async () => {
+    const tokens = ['bob', 'dave', 'erin'].map(fcmToken);
+    const res = await sendAs('alice', '/send-multicast', { tokens }).expect(200);
+
+    expect(res.body.response).toMatchObject({ successCount: 1, failureCount: 0 });
+    expect(res.body.skippedUsers).toEqual(expect.arrayContaining([
+      { userId: 'erin', reason: 'blocked_sender' },
+      { userId: 'dave', reason: 'not_connected' },
+    ]));
+    expect(sentTokens()).toEqual([fcmToken('bob')]);
+
+    await sendAs('alice', '/send-multicast', { tokens: [fcmToken('bob'), fcmToken('unknown-device')] }).expect(403);
+  });
+
+  test('queued retries skip users who block the sender in the meantime', async () => {
+    server.messaging.failToken(fcmToken('bob'), 'messaging/unavailable');
+    const res = await sendAs('alice', '/send-to-users', { userIds: ['bob'] }).expect(202);
+
+    server.db.seed({ 'users/bob/blocked/alice': {} });
+    server.messaging.reset();
+    await server.db.collection('notification_outbox').doc(res.body.outboxId).update({ nextAttemptAt: new Date(0) });
+
+    const dispatcher = createDispatcher({ db: server.db, messaging: server.messaging, logger: quiet });
+    await createOutbox({ db: server.db, dispatcher, logger: quiet }).processDue();
+
+    expect(sentTokens()).toEqual([]);
+  });
+});
@@ -2,6 +2,11 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
 
+// Send routes require credentials: an API key from create_api_key.js or a Firebase ID token
+const authHeaders = process.env.FCM_API_KEY
+  ? { 'X-API-Key': process.env.FCM_API_KEY }
+  : { Authorization: `Bearer ${process.env.FIREBASE_ID_TOKEN || 'YOUR_ID_TOKEN_HERE'}` };
+
 // Test data
 const testNotification = {
   token: 'YOUR_FCM_TOKEN_HERE', // Replace with actual FCM token from your Flutter app
@@ -51,7 +56,7 @@ async function testHealth() {
 async function testSendNotification() {
   try {
     console.log('\n📨 Testing send notification...');
-    const response = await axios.post(`${BASE_URL}/send-notification`, testNotification);
+    const response = await axios.post(`${BASE_URL}/send-notification`, testNotification, { headers: authHeaders });
     console.log('✅ Notification sent:', response.data);
   } catch (error) {
     console.error('❌ Send notification failed:', error.response?.data || error.message);
@@ -61,7 +66,7 @@ async function testSendNotification() {
 async function testSendTopicNotification() {
   try {
     console.log('\n📢 Testing topic notification...');
-    const response = await axios.post(`${BASE_URL}/send-topic-notification`, testTopicNotification);
+    const response = await axios.post(`${BASE_URL}/send-topic-notification`, testTopicNotification, { headers: authHeaders });
     console.log('✅ Topic notification sent:', response.data);
   } catch (error) {
     console.error('❌ Topic notification failed:', error.response?.data || error.message);
@@ -71,7 +76,7 @@ async function testSendTopicNotification() {
 async function testMulticast() {
   try {
     console.log('\n📤 Testing multicast...');
-    const response = await axios.post(`${BASE_URL}/send-multicast`, testMulticastData);
+    const response = await axios.post(`${BASE_URL}/send-multicast`, testMulticastData, { headers: authHeaders });
     console.log('✅ Multicast sent:', response.data);
   } catch (error) {
     console.error('❌ Multicast failed:', error.response?.data || error.message);
@@ -84,7 +89,7 @@ async function testSubscribeTopic() {
     const response = await axios.post(`${BASE_URL}/subscribe-topic`, {
       tokens: ['TOKEN_1_HERE'], // Replace with actual token
       topic: 'test_topic'
-    });
+    }, { headers: authHeaders });
     console.log('✅ Topic subscription:', response.data);
   } catch (error) {
     console.error('❌ Topic subscription failed:', error.response?.data || error.message);
@@ -0,0 +1,118 @@
+// Static hosting of the Flutter web build for the portable server.
+//
+// Cache policy:
+//   no-cache   index.html, service workers, manifests and the unhashed Flutter
+//              entry points: always revalidated, answered with 304 when unchanged
+//   max-age    fonts, images and CanvasKit, fresh for a day and served stale
+//              for a week while revalidating
+// Every file gets a strong ETag from its content.
+//
+// /precache-manifest.json lists the files app_shell_sw.js precaches, with a
+// version that changes whenever any of them does.
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const PRECACHE_MANIFEST = 'precache-manifest.json';
+
+const ALWAYS_REVALIDATE = [
+  /(^|\/)index\.html$/,
+  /(^|\/)[\w-]*sw\.js$/,
+  /(^|\/)flutter_service_worker\.js$/,
+  /(^|\/)(manifest|version)\.json$/,
+  /(^|\/)(main\.dart|flutter|flutter_bootstrap)\.js$/,
+];
+
+const LONG_LIVED = /\.(png|jpe?g|gif|webp|svg|ico|ttf|otf|woff2?|wasm)$|(^|\/)canvaskit\//;
+
+// Served, but never precached
+const NOT_PRECACHED = [
+  /(^|\/)[\w-]*sw\.js$/,
+  /(^|\/)flutter_service_worker\.js$/,
+  /\.map$/,
+  /(^|\/)\.last_build_id$/,
+];
+
+function cacheControlFor(relativePath) {
+  if (ALWAYS_REVALIDATE.some(pattern => pattern.test(relativePath))) return 'no-cache';
+  if (LONG_LIVED.test(relativePath)) return 'public, max-age=86400, stale-while-revalidate=604800';
+  return 'public, max-age=0, must-revalidate';
+}
+
+function toUrlPath(root, file) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+function createWebShell({ root }) {
+  // Content hashes, recomputed when a file's size or mtime changes (rebuilds)
+  const etags = new Map();
+
+  function etagOf(file, stat) {
+    const cached = etags.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.etag;
+
+    const hash = crypto.createHash('sha1').update(fs.readFileSync(file)).digest('base64url');
+    const etag = `"${hash}"`;
+    etags.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, etag });
+    return etag;
+  }
+
+  function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const file = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(file) : [file];
+    });
+  }
+
+  function setHeaders(res, file, stat) {
+    res.setHeader('Cache-Control', cacheControlFor(toUrlPath(root, file)));
+    res.setHeader('ETag', etagOf(file, stat));
+  }
+
+  function precacheManifest(req, res) {
+    const files = listFiles(root)
+      .map(file => ({ file, url: toUrlPath(root, file) }))
+      .filter(({ url }) => url !== PRECACHE_MANIFEST && !NOT_PRECACHED.some(pattern => pattern.test(url)))
+      .sort((a, b) => a.url.localeCompare(b.url));
+
+    const version = crypto.createHash('sha1');
+    for (const { file, url } of files) {
+      version.update(url).update(etagOf(file, fs.statSync(file)));
+    }
+
+    res.set('Cache-Control', 'no-cache');
+    res.json({
+      version: version.digest('hex').slice(0, 12),
+      files: files.map(({ url }) => url),
+    });
+  }
+
+  // Client-side routes get index.html; missing files are 404s, not the app
+  function appShell(req, res, next) {
+    if (path.extname(req.path)) return next();
+
+    const index = path.join(root, 'index.html');
+    res.sendFile(index, {
+      etag: false,
+      lastModified: false,
+      headers: {
+        'Cache-Control': 'no-cache',
+        ETag: etagOf(index, fs.statSync(index)),
+      },
+    });
+  }
+
+  return {
+    precacheManifest,
+    serveStatic: express.static(root, { etag: false, lastModified: false, setHeaders }),
+    appShell,
+  };
+}
+
+module.exports = {
+  PRECACHE_MANIFEST,
+  cacheControlFor,
+  createWebShell,
+};
@@ -0,0 +1,167 @@
+/* eslint-disable no-undef */
+// App shell service worker: the web app loads from cache and keeps working
+// read-only when the network is slow or gone.
+//
+//   index.html, navigations   network first, cached copy after a timeout or offline
+//   fonts and images          stale-while-revalidate, same-origin and Google Fonts only
+//   other build files         precached at install, served cache first
+//
+// Registered from index.html as app_shell_sw.js?v=<build version>; a new
+// version installs a new precache and, once that succeeded, removes the old
+// one. The file list comes from the server's precache-manifest.json
+// (servers/server.js), or the core Flutter files when the host has none.
+// Push notifications are handled separately by firebase-messaging-sw.js.
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'soc-chat-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v1`;
+const NETWORK_TIMEOUT_MS = 4000;
+const RUNTIME_MAX_ENTRIES = 200;
+
+const CORE_FILES = [
+  'index.html',
+  'main.dart.js',
+  'flutter.js',
+  'flutter_bootstrap.js',
+  'manifest.json',
+  'favicon.png',
+  'icons/Icon-192.png',
+  'assets/AssetManifest.json',
+  'assets/AssetManifest.bin.json',
+  'assets/FontManifest.json',
+  'canvaskit/canvaskit.js',
+  'canvaskit/canvaskit.wasm',
+];
+
+// Caches left behind by Flutter's default service worker, which this one replaces
+const FLUTTER_CACHES = ['flutter-app-cache', 'flutter-temp-cache', 'flutter-app-manifest'];
+
+const APP_URL = new URL('./', self.location.href);
+const INDEX_URL = new URL('index.html', APP_URL).href;
+
+const FONT_HOSTS = ['fonts.gstatic.com', 'fonts.googleapis.com'];
+const IMAGE_OR_FONT = /\.(png|jpe?g|gif|webp|svg|ico|ttf|otf|woff2?)$/;
+
+async function precacheFiles() {
+  try {
+    const response = await fetch(new URL('precache-manifest.json', APP_URL), { cache: 'no-store' });
+    // Hosts without a manifest may answer with index.html instead of a 404
+    if (response.ok && (response.headers.get('content-type') || '').includes('json')) {
+      return (await response.json()).files;
+    }
+  } catch (error) {
+    // No manifest on this host
+  }
+  return CORE_FILES;
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    const files = await precacheFiles();
+    // One missing file (e.g. the renderer this build doesn't use) must not fail the install
+    await Promise.all(files.map(async (file) => {
+      const url = new URL(file, APP_URL);
+      try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (response.ok) await cache.put(url, response);
+      } catch (error) {
+        console.warn(`Not precached: ${file}`, error);
+      }
+    }));
+    // Without index.html this version can't start offline; keep the previous one
+    if (!(await cache.match(INDEX_URL))) throw new Error('index.html was not precached');
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => (name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== RUNTIME_CACHE)
+        || FLUTTER_CACHES.includes(name))
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+function timeout(ms) {
+  return new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timeout')), ms));
+}
+
+// Client-side routes have no extension and are answered with index.html
+function servesAppShell(url) {
+  const file = url.pathname.slice(APP_URL.pathname.length);
+  return file === '' || file === 'index.html' || !file.includes('.');
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const shell = servesAppShell(new URL(request.url));
+  try {
+    const response = await Promise.race([fetch(request), timeout(NETWORK_TIMEOUT_MS)]);
+    if (response.ok && shell) await cache.put(INDEX_URL, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(shell ? INDEX_URL : request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function trimRuntimeCache(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_MAX_ENTRIES)).map((key) => cache.delete(key)));
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = (await cache.match(event.request)) || (await caches.match(event.request));
+
+  const refresh = fetch(event.request).then(async (response) => {
+    // Opaque responses (cross-origin fonts) report status 0
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(event.request, response.clone());
+      await trimRuntimeCache(cache);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate' || (sameOrigin && url.href.split('?')[0] === INDEX_URL)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  // Cross-origin images (chat media, avatars) are left to the HTTP cache
+  const asset = request.destination === 'font' || request.destination === 'image' || IMAGE_OR_FONT.test(url.pathname);
+  if ((sameOrigin && asset) || FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event));
+    return;
+  }
+
+  // Firestore, Auth, Storage and other APIs go straight to the network
+  if (sameOrigin && url.pathname.startsWith(APP_URL.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -1,7 +1,18 @@
 /* eslint-disable no-undef */
 // Firebase Messaging SW (Compat for simplicity)
+
+// Registered before the Firebase scripts so it runs ahead of the SDK's own
+// handler, which would only open `fcmOptions.link`
+self.addEventListener('notificationclick', (event) => {
+  event.stopImmediatePropagation();
+  event.waitUntil(handleNotificationClick(event));
+});
+
 importScripts('https://www.gstatic.com/firebasejs/9.23.0/firebase-app-compat.js');
 importScripts('https://www.gstatic.com/firebasejs/9.23.0/firebase-messaging-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/9.23.0/firebase-auth-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/9.23.0/firebase-functions-compat.js');
 
 // Firebase configuration for SOC Chat App
 firebase.initializeApp({
@@ -17,13 +28,253 @@ firebase.initializeApp({
 
 const messaging = firebase.messaging();
 
-// Optional: background message handler to show notifications
-messaging.onBackgroundMessage((payload) => {
-  const title = payload.notification?.title || payload.data?.title || 'New message';
-  const options = {
-    body: payload.notification?.body || payload.data?.body || '',
-    data: payload.data || {},
-    // icon: '/icons/Icon-192.png', // optional
+const PREVIEW_LENGTH = 50;
+const STRINGS = {
+  en: {
+    newMessage: 'New message',
+    hidden: 'You have a new message',
+    image: 'Photo',
+    video: 'Video',
+    audio: 'Voice message',
+    document: 'Document',
+    newMessages: (count) => `${count} new messages`,
+    encrypted: 'Encrypted message',
+    reply: 'Reply',
+    replyPlaceholder: 'Write a reply…',
+    markRead: 'Mark as read',
+    mute: 'Mute 1h',
+  },
+  ar: {
+    newMessage: 'رسالة جديدة',
+    hidden: 'لديك رسالة جديدة',
+    image: 'صورة',
+    video: 'فيديو',
+    audio: 'رسالة صوتية',
+    document: 'مستند',
+    newMessages: (count) => `${count} رسائل جديدة`,
+    encrypted: 'رسالة مشفرة',
+    reply: 'رد',
+    replyPlaceholder: 'اكتب ردًا…',
+    markRead: 'تحديد كمقروء',
+    mute: 'كتم لساعة',
+  },
+};
+
+// The app is served from the directory this worker is in
+const APP_URL = new URL('./', self.location.href);
+const ICON = new URL('icons/Icon-192.png', APP_URL).href;
+const BADGE = new URL('favicon.png', APP_URL).href;
+const MUTE_MS = 60 * 60 * 1000;
+
+function strings() {
+  return (self.navigator.language || 'en').startsWith('ar') ? STRINGS.ar : STRINGS.en;
+}
+
+function truncate(text) {
+  const graphemes = [...new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)];
+  return graphemes.length > PREVIEW_LENGTH
+    ? graphemes.slice(0, PREVIEW_LENGTH).map((g) => g.segment).join('').trimEnd() + '…'
+    : text;
+}
+
+// Resolves once the signed-in user (shared with the app through IndexedDB) is known
+function currentUser() {
+  return new Promise((resolve) => {
+    const unsubscribe = firebase.auth().onAuthStateChanged((user) => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+// Data-only pushes carry just chatId/messageId: fetch the message with the
+// signed-in user's credentials and render it here, so its content never goes
+// through FCM. Falls back to a generic notification.
+async function renderDataOnly(data) {
+  const text = strings();
+  const fallback = { title: text.newMessage, options: { body: text.hidden } };
+
+  try {
+    if (!data.chatId || !(await currentUser())) return fallback;
+
+    const chatRef = firebase.firestore().collection('chats').doc(data.chatId);
+    const chat = (await chatRef.get()).data() || {};
+    const isGroup = Boolean(chat.isGroupChat || chat.isGroup);
+
+    if (!data.messageId) {
+      const count = data.unreadCount || '';
+      return {
+        title: isGroup ? (chat.name || text.newMessage) : text.newMessage,
+        options: { body: text.newMessages(count) },
+      };
+    }
+
+    const message = (await chatRef.collection('messages').doc(data.messageId).get()).data();
+    if (!message) return fallback;
+
+    const content = message.type === 'text' || !message.type
+      ? truncate(message.text || '')
+      : text[message.type] || text.newMessage;
+    const sender = message.senderName || '';
+
+    return {
+      title: isGroup ? (chat.name || sender) : sender || text.newMessage,
+      options: {
+        body: isGroup ? `${sender}: ${content}` : content,
+      },
+    };
+  } catch (error) {
+    console.error('Failed to render data-only notification:', error);
+    return fallback;
+  }
+}
+
+// Encrypted pushes carry a ciphertext envelope the server could not read. No
+// client holds chat keys yet (see functions/notifications/encryption.js), so
+// the notification only says that a message arrived.
+function renderEncrypted() {
+  const text = strings();
+  return { title: text.newMessage, options: { body: text.encrypted } };
+}
+
+// One notification per chat: a new push replaces the chat's previous one
+function chatTag(chatId) {
+  return chatId ? `chat_${chatId}`.substring(0, 64) : undefined;
+}
+
+function withPresentation(data, options) {
+  const text = strings();
+  const actions = [];
+  // Reply and Mark as read need the push's action token
+  if (data.chatId && data.actionToken) {
+    // Replies to encrypted chats would leave this device unencrypted
+    if (data.encrypted !== 'true') {
+      actions.push({ action: 'reply', type: 'text', title: text.reply, placeholder: text.replyPlaceholder });
+    }
+    actions.push({ action: 'mark_read', title: text.markRead });
+  }
+  if (data.chatId) actions.push({ action: 'mute_1h', title: text.mute });
+
+  const tag = chatTag(data.chatId);
+  return {
+    ...options,
+    data,
+    tag,
+    renotify: Boolean(tag),
+    icon: ICON,
+    badge: BADGE,
+    image: data.imageUrl || undefined,
+    actions: actions.slice(0, Notification.maxActions || actions.length),
   };
-  self.registration.showNotification(title, options);
+}
+
+// Tell open app windows about pushes and actions so they can update unread state
+async function notifyClients(message) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windows.forEach((client) => client.postMessage(message));
+}
+
+// Notifications shown by the FCM SDK keep the push under data.FCM_MSG
+function pushDataOf(notification) {
+  const data = notification.data || {};
+  return (data.FCM_MSG && data.FCM_MSG.data) || data;
+}
+
+async function requireUser() {
+  const user = await currentUser();
+  if (!user) throw new Error('Not signed in');
+  return user;
+}
+
+// Reply and Mark as read run on the backend, authorized by the action token
+// the push carried for this user and chat
+async function callNotificationAction(data, action, text) {
+  await requireUser();
+  const handleNotificationAction = firebase.functions().httpsCallable('handleNotificationAction');
+  const result = await handleNotificationAction({
+    action,
+    chatId: data.chatId,
+    messageId: data.messageId,
+    actionToken: data.actionToken,
+    text,
+  });
+  return result.data;
+}
+
+async function muteChat(chatId, durationMs) {
+  const user = await requireUser();
+  const until = firebase.firestore.Timestamp.fromMillis(Date.now() + durationMs);
+  await firebase.firestore().collection('users').doc(user.uid).update(
+    new firebase.firestore.FieldPath('notificationSettings', 'mutedChats', chatId), until,
+  );
+  return until.toDate().toISOString();
+}
+
+// Focus an open app window and point it at the chat, or open the app there
+async function openChat(data) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find((client) => client.url.startsWith(APP_URL.href));
+
+  if (existing) {
+    await existing.focus();
+    existing.postMessage({ type: 'notification-click', chatId: data.chatId, messageId: data.messageId });
+    return;
+  }
+
+  const url = new URL(APP_URL);
+  if (data.chatId) url.hash = `/chat?chatId=${encodeURIComponent(data.chatId)}`;
+  await self.clients.openWindow(url.href);
+}
+
+async function handleNotificationClick(event) {
+  const data = pushDataOf(event.notification);
+  const chatId = data.chatId;
+  event.notification.close();
+
+  try {
+    if (chatId && event.action === 'mark_read') {
+      await callNotificationAction(data, 'markRead');
+      return notifyClients({ type: 'unread-changed', chatId, unreadCount: 0 });
+    }
+    if (chatId && event.action === 'mute_1h') {
+      const until = await muteChat(chatId, MUTE_MS);
+      return notifyClients({ type: 'chat-muted', chatId, until });
+    }
+    if (chatId && event.action === 'reply' && event.reply) {
+      await callNotificationAction(data, 'reply', event.reply);
+      return notifyClients({ type: 'unread-changed', chatId, unreadCount: 0 });
+    }
+  } catch (error) {
+    // Signed out or offline: let the user finish in the app
+    console.error(`Notification action ${event.action} failed:`, error);
+  }
+
+  // Plain clicks, and Reply where the browser has no inline reply
+  return openChat(data);
+}
+
+messaging.onBackgroundMessage(async (payload) => {
+  const data = payload.data || {};
+  await notifyClients({
+    type: 'push-received',
+    chatId: data.chatId,
+    messageId: data.messageId,
+    unreadCount: data.unreadCount,
+    badgeCount: data.badgeCount,
+  });
+
+  // Silent pushes (muted, DND, quiet hours) only carry data for the app, and
+  // the FCM SDK already shows notification payloads itself
+  if (data.silent === 'true' || payload.notification) return;
+
+  let rendered;
+  if (data.encrypted === 'true') {
+    rendered = renderEncrypted();
+  } else if (data.dataOnly === 'true') {
+    rendered = await renderDataOnly(data);
+  } else {
+    rendered = { title: data.title || 'New message', options: { body: data.body || '' } };
+  }
+
+  return self.registration.showNotification(rendered.title, withPresentation(data, rendered.options));
 });